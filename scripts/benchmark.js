@@ -0,0 +1,120 @@
+// Interpreter benchmark: runs heavy scripts on this tree's interpreter and on a baseline commit's, and prints
+// the median and fastest time of each and how many times faster this tree is.
+// Usage: npm run bench [-- runs [baseline]]   (default 7 timed runs per script, after 2 warm-up runs)
+// The baseline is any git revision; by default the last one that walked expression trees instead of
+// compiling them to closures. Its interpreter is exported with git archive into a temporary directory.
+
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import * as current from '../src/lib/turtle-lang/interpreter.js';
+import { parse } from '../src/lib/turtle-lang/lexer.js';
+
+const BASELINE = '9e0a803';
+
+const WORKLOADS = {
+    // The editor's bundled demo, reading the position through xpos() / ypos() as the baseline also does
+    mandelbrot: `
+var w = 80
+var h = 60
+var maxIter = 50
+
+pen down
+
+for y from 0 to h - 1:
+    for x from 0 to w - 1:
+        var cr = (x / w) * 3.5 - 2.5
+        var ci = (y / h) * 2.0 - 1.0
+        var zr = 0
+        var zi = 0
+        var iter = 0
+        repeat until (zr*zr + zi*zi) > 4:
+            var tmp = zr*zr - zi*zi + cr
+            var zi = 2 * zr * zi + ci
+            var zr = tmp
+            iter = iter + 1
+            if iter >= maxIter:
+                break
+        var hue = iter * 6
+        hsv hue 90 90
+        forward 0
+        forward 1
+    pen up
+    goto xpos() - w, ypos() + 1
+    pen down`,
+    // Thousands of short segments, each through a procedure call with a little arithmetic
+    spiral: `
+def side(len, k):
+    var hue = (k * 3) % 360
+    hsv hue 80 95
+    forward len
+    right 89 + sin(k) * 0.5
+
+pen down
+var len = 1
+for k from 1 to 4000:
+    side(len, k)
+    len = len + 0.01`
+};
+
+const runs = Math.max(1, Number(process.argv[2]) || 7);
+const baselineRev = process.argv[3] || BASELINE;
+const WARMUP = 2;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/** Import the lexer and interpreter of revision `rev` from a copy of its src/lib/turtle-lang */
+async function loadBaseline(rev, dir) {
+    const archive = execFileSync('git', ['archive', rev, 'src/lib/turtle-lang']);
+    execFileSync('tar', ['-x', '-C', dir], { input: archive });
+    const base = join(dir, 'src/lib/turtle-lang');
+    const [lexer, interpreter] = await Promise.all([
+        import(pathToFileURL(join(base, 'lexer.js')).href),
+        import(pathToFileURL(join(base, 'interpreter.js')).href)
+    ]);
+    return { parse: lexer.parse, interpret: interpreter.interpret };
+}
+
+/** Time both interpreters on one script, alternating runs so they see the same machine load */
+function time(src, engines) {
+    const options = { seed: 1, initialPenDown: true };
+    // only execution is timed
+    const runners = engines.map(({ parse, interpret }) => ({ interpret, tokens: parse(src), samples: [], result: null }));
+    for (let k = 0; k < WARMUP + runs; k++) {
+        for (const r of runners) {
+            const t0 = performance.now();
+            r.result = r.interpret(r.tokens, options);
+            if (k >= WARMUP) r.samples.push(performance.now() - t0);
+        }
+    }
+    return runners.map(r => ({ ms: median(r.samples), min: Math.min(...r.samples), result: r.result }));
+}
+
+const dir = mkdtempSync(join(tmpdir(), 'turtle-bench-'));
+try {
+    const baseline = await loadBaseline(baselineRev, dir);
+    console.log(`median of ${runs} runs (after ${WARMUP} warm-up runs), baseline ${baselineRev}\n`);
+    console.log('workload        baseline    current    fastest (base / cur)   speedup   operations');
+    for (const [name, src] of Object.entries(WORKLOADS)) {
+        const [base, cur] = time(src, [baseline, { parse, interpret: current.interpret }]);
+        const ops = cur.result.operations.length;
+        if (base.result.operations.length !== ops) {
+            console.warn(`${name}: the baseline recorded ${base.result.operations.length} operations, this tree ${ops}`);
+        }
+        console.log(
+            name.padEnd(12),
+            `${base.ms.toFixed(1)} ms`.padStart(11),
+            `${cur.ms.toFixed(1)} ms`.padStart(10),
+            `${base.min.toFixed(1)} / ${cur.min.toFixed(1)} ms`.padStart(23),
+            `${(base.ms / cur.ms).toFixed(2)}x`.padStart(9),
+            String(ops).padStart(12)
+        );
+    }
+} finally {
+    rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,70 @@
+// Minimal PNG writer for indexed (palette) images, used by the pixel canvas export.
+// Deflate is done by the platform's CompressionStream ('deflate' = zlib framing, as PNG expects).
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let c = 0xffffffff;
+    for (let k = 0; k < bytes.length; k++) c = CRC_TABLE[(c ^ bytes[k]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+// Length + type + data + CRC(type + data)
+function chunk(type, data) {
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    for (let k = 0; k < 4; k++) out[4 + k] = type.charCodeAt(k);
+    out.set(data, 8);
+    view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+}
+
+async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encode an 8-bit indexed PNG.
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array} pixels palette index per pixel, row by row
+ * @param {[number, number, number][]} colors palette entries (at most 256)
+ * @param {number} [transparentIndex] entry written as fully transparent (-1 for none)
+ * @returns {Promise<Blob>}
+ */
+export async function encodeIndexedPNG(width, height, pixels, colors, transparentIndex = -1) {
+    if (colors.length > 256) throw new Error('Indexed PNG palettes are limited to 256 colors');
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = 8;  // bit depth
+    header[9] = 3;  // color type: indexed
+    const plte = new Uint8Array(colors.length * 3);
+    colors.forEach((c, k) => plte.set(c, k * 3));
+    // Each scanline starts with filter type 0 (none)
+    const raw = new Uint8Array((width + 1) * height);
+    for (let y = 0; y < height; y++) raw.set(pixels.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+    const parts = [
+        new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('PLTE', plte)
+    ];
+    if (transparentIndex >= 0) {
+        const alpha = new Uint8Array(transparentIndex + 1).fill(255);
+        alpha[transparentIndex] = 0;
+        parts.push(chunk('tRNS', alpha));
+    }
+    parts.push(chunk('IDAT', await deflate(raw)), chunk('IEND', new Uint8Array(0)));
+    return new Blob(parts, { type: 'image/png' });
+}
@@ -1,23 +1,47 @@
 // Pixel canvas p5 sketch (renamed from intro.js)
+import { brushOffsets } from '../turtle-lang/raster.js';
+import { hsvToRgb } from '../turtle-lang/color.js';
+import { nearestIndex } from '../turtle-lang/palettes.js';
+import { encodeIndexedPNG } from '../png.js';
+
 /**
  * @param {import('p5')} p
  */
 export default function sketch(p) {
 
-    let penDown = false;
-    // Pen holds grid cell coordinates (not pixel units)
-    /** @type {p5.Vector} */
-    let pen = p.createVector(0, 0);
+    // One pen per turtle, first = main turtle. Each holds grid cell coordinates (not pixel units),
+    // heading in degrees (0 points to +X / east) for the directional indicator, pen state, the brush
+    // footprint (cell offsets around the pen) with the outline edges drawn for it, and its outline colors.
+    // The pen API below acts on the selected pen (`cur`).
+    let pens = [newPen('main', 0)];
+    let cur = pens[0];
+    function newPen(name, index) {
+        const [outline, arrow] = PEN_COLORS[index % PEN_COLORS.length];
+        return { name, pen: p.createVector(0, 0), penDown: false, heading: 0, brush: makeBrush([[0, 0]]), outline, arrow };
+    }
     let pixelSize = 10;
     let gridLineThickness = 1;
     let showGrid = true;
     // Colors
     let bgColor = p.color(24, 24, 28); // dark background
     let gridColor = p.color(60);       // subtle mid-gray grid
-    // Painted pixels: Map key "x,y" -> {h,s,v}
-    const painted = new Map();
-    // Heading in degrees (0 points to +X / east) used for directional indicator
-    let heading = 0;
+    // Layers, bottom first. Each holds its painted pixels: Map key "x,y" -> {h,s,v,a?,rgb}
+    // (rgb = exact 0..255 channels used for rendering, a = opacity 0..100 for translucent cells,
+    // already composited by the interpreter). Opacity 0..1 applies to the whole layer.
+    /** @type {{name:string, painted:Map<string, any>, visible:boolean, opacity:number}[]} */
+    let layers = [newLayer('base')];
+    function findLayer(name) { return layers.find(l => l.name === name) || null; }
+    /** Layer by name, created on top when missing */
+    function layerFor(name = 'base') {
+        let layer = findLayer(name);
+        if (!layer) { layer = newLayer(name); layers.push(layer); }
+        return layer;
+    }
+    // Layers that make up the picture: visible ones, bottom first
+    function visibleLayers() { return layers.filter(l => l.visible); }
+    // Symmetry set by the script ({mirror, radial, cx, cy} in cells) and whether its axes are drawn
+    let symmetry = null;
+    let showSymmetry = true;
     // Camera (pan & zoom)
     let cam = p.createVector(0, 0); // translation in screen pixels (post-scale origin shift)
     let zoom = 1;                   // scalar zoom factor
@@ -34,8 +58,8 @@ export default function sketch(p) {
         p.createCanvas(800, 800);
         p.background(bgColor);
         // Center pen in the grid after canvas created
-        pen.x = Math.floor(p.width / (2 * pixelSize));
-        pen.y = Math.floor(p.height / (2 * pixelSize));
+        cur.pen.x = Math.floor(p.width / (2 * pixelSize));
+        cur.pen.y = Math.floor(p.height / (2 * pixelSize));
         // Track hover state for conditional pan/zoom
         if (p.canvas) {
             p.canvas.addEventListener('mouseenter', () => { isHover = true; });
@@ -78,10 +102,11 @@ export default function sketch(p) {
             p.pop();
         }
 
-        // Draw painted pixels
-        if (painted.size) {
+        // Draw painted pixels, layer by layer
+        for (const layer of visibleLayers()) {
+            if (!layer.painted.size || layer.opacity <= 0) continue;
             p.noStroke();
-            for (const [key, hsv] of painted) {
+            for (const [key, hsv] of layer.painted) {
                 const [cx, cy] = key.split(',').map(Number);
                 // Quick cull using visible world rect
                 const px0 = cx * pixelSize;
@@ -91,48 +116,72 @@ export default function sketch(p) {
                 const right = (p.width - cam.x) / zoom;
                 const bottom = (p.height - cam.y) / zoom;
                 if (px0 + pixelSize < left || px0 > right || py0 + pixelSize < top || py0 > bottom) continue;
-                // Convert HSV (0..360,0..100,0..100) to RGB using p5's colorMode
-                p.push();
-                p.colorMode(p.HSB, 360, 100, 100);
-                p.fill(hsv.h, hsv.s, hsv.v);
+                p.fill(hsv.rgb[0], hsv.rgb[1], hsv.rgb[2], hsv.alpha255 * layer.opacity);
                 p.rect(cx * pixelSize, cy * pixelSize, pixelSize, pixelSize);
-                p.pop();
             }
         }
 
+        // Symmetry axes overlay: mirror lines through the centre, one ray per radial copy
+        if (showSymmetry && symmetry && (symmetry.mirror || symmetry.radial > 1)) {
+            const sx = (symmetry.cx + 0.5) * pixelSize;
+            const sy = (symmetry.cy + 0.5) * pixelSize;
+            // Long enough to reach the farthest corner of the visible world rect
+            const left = (-cam.x) / zoom, top = (-cam.y) / zoom;
+            const right = (p.width - cam.x) / zoom, bottom = (p.height - cam.y) / zoom;
+            const reach = Math.max(Math.abs(left - sx), Math.abs(right - sx)) + Math.max(Math.abs(top - sy), Math.abs(bottom - sy));
+            p.push();
+            p.stroke(80, 200, 255, 140);
+            p.strokeWeight(Math.max(1, gridLineThickness) / zoom);
+            for (let k = 0; k < symmetry.radial; k++) {
+                const a = 2 * Math.PI * k / symmetry.radial;
+                const cos = Math.cos(a), sin = Math.sin(a);
+                if (symmetry.radial > 1) p.line(sx, sy, sx + cos * reach, sy + sin * reach);
+                // Mirror axes turn with each copy: x mirrors across the vertical, y across the horizontal
+                if (symmetry.mirror === 'x' || symmetry.mirror === 'xy') p.line(sx + sin * reach, sy - cos * reach, sx - sin * reach, sy + cos * reach);
+                if (symmetry.mirror === 'y' || symmetry.mirror === 'xy') p.line(sx - cos * reach, sy - sin * reach, sx + cos * reach, sy + sin * reach);
+            }
+            p.noFill();
+            p.circle(sx, sy, pixelSize * 0.6);
+            p.pop();
+        }
+
         // Determine current pen (mouse) cell
         // No mouse interaction: pen position & state managed exclusively via exposed API below.
 
-        // Draw pen highlight based on pen vector
-        const x0 = pen.x * pixelSize;
-        const y0 = pen.y * pixelSize;
-        p.push();
-        p.noFill();
-        // Always outline only (no fill) regardless of pen state
-        p.stroke(255, 255, 0);
-        p.strokeWeight(Math.max(1, gridLineThickness) / zoom);
-        p.rect(x0, y0, pixelSize, pixelSize);
-        // Direction indicator (arrow outside the square)
-        const cx = x0 + pixelSize / 2;
-        const cy = y0 + pixelSize / 2;
-        const rad = heading * Math.PI / 180;
-        const offset = pixelSize * Math.SQRT2 / 2; // full diagonal (hypotenuse) of the square
-        const gap = Math.max(2, pixelSize * 0.1); // small gap beyond square edge
-        const shaftLen = pixelSize * 0.45; // length of arrow shaft outside
-        // Base point sits just outside the square edge in heading direction
-        const bx = cx + Math.cos(rad) * (offset + gap * 0.2);
-        const by = cy + Math.sin(rad) * (offset + gap * 0.2);
-        const tx = cx + Math.cos(rad) * (offset + gap + shaftLen);
-        const ty = cy + Math.sin(rad) * (offset + gap + shaftLen);
-        p.stroke(255, 220, 80);
-        p.line(bx, by, tx, ty);
-        // Arrowhead
-        const ah = shaftLen * 0.35;
-        const leftRad = rad + Math.PI * 0.75;
-        const rightRad = rad - Math.PI * 0.75;
-        p.line(tx, ty, tx + Math.cos(leftRad) * ah, ty + Math.sin(leftRad) * ah);
-        p.line(tx, ty, tx + Math.cos(rightRad) * ah, ty + Math.sin(rightRad) * ah);
-        p.pop();
+        // Draw pen highlights, one per turtle
+        for (const { pen, heading, brush, outline, arrow } of pens) {
+            const x0 = pen.x * pixelSize;
+            const y0 = pen.y * pixelSize;
+            p.push();
+            p.noFill();
+            // Always outline only (no fill) regardless of pen state; traces the brush footprint
+            p.stroke(...outline);
+            p.strokeWeight(Math.max(1, gridLineThickness) / zoom);
+            for (const [ax, ay, bx, by] of brush.edges) {
+                p.line(x0 + ax * pixelSize, y0 + ay * pixelSize, x0 + bx * pixelSize, y0 + by * pixelSize);
+            }
+            // Direction indicator (arrow outside the square)
+            const cx = x0 + pixelSize / 2;
+            const cy = y0 + pixelSize / 2;
+            const rad = heading * Math.PI / 180;
+            const offset = pixelSize * brush.reach; // half diagonal of a single cell, further out for big brushes
+            const gap = Math.max(2, pixelSize * 0.1); // small gap beyond square edge
+            const shaftLen = pixelSize * 0.45; // length of arrow shaft outside
+            // Base point sits just outside the square edge in heading direction
+            const bx = cx + Math.cos(rad) * (offset + gap * 0.2);
+            const by = cy + Math.sin(rad) * (offset + gap * 0.2);
+            const tx = cx + Math.cos(rad) * (offset + gap + shaftLen);
+            const ty = cy + Math.sin(rad) * (offset + gap + shaftLen);
+            p.stroke(...arrow);
+            p.line(bx, by, tx, ty);
+            // Arrowhead
+            const ah = shaftLen * 0.35;
+            const leftRad = rad + Math.PI * 0.75;
+            const rightRad = rad - Math.PI * 0.75;
+            p.line(tx, ty, tx + Math.cos(leftRad) * ah, ty + Math.sin(leftRad) * ah);
+            p.line(tx, ty, tx + Math.cos(rightRad) * ah, ty + Math.sin(rightRad) * ah);
+            p.pop();
+        }
 
         // Restore (all world drawing done)
         p.pop();
@@ -148,55 +197,124 @@ export default function sketch(p) {
 
     // ---------- Pen Control API (accessible via p5 instance) ----------
     // No clamping: infinite grid (camera handles visibility)
+    /** Select the pen of turtle `name` for the pen calls below (created on first use, starting where the selected pen is) */
+    p.selectPen = function (name) {
+        let found = pens.find(pn => pn.name === name);
+        if (!found) {
+            found = newPen(name, pens.length);
+            found.pen.set(cur.pen);
+            pens.push(found);
+        }
+        cur = found;
+    };
+    /** Drop every pen except the main turtle's and select it (called when a run starts) */
+    p.resetPens = function () { pens = [pens[0]]; cur = pens[0]; };
+    /** Names of the pens shown, main turtle first */
+    p.getPens = function () { return pens.map(pn => pn.name); };
     /** Set pen to absolute grid cell */
-    p.penSet = function (x, y) { pen.x = Math.floor(x); pen.y = Math.floor(y); };
+    p.penSet = function (x, y) { cur.pen.x = Math.floor(x); cur.pen.y = Math.floor(y); };
     /** Move pen by delta cells */
-    p.penMove = function (dx, dy) { pen.x += dx; pen.y += dy; };
+    p.penMove = function (dx, dy) { cur.pen.x += dx; cur.pen.y += dy; };
     /** Raise pen (no fill) */
-    p.penUp = function () { penDown = false; };
+    p.penUp = function () { cur.penDown = false; };
     /** Lower pen (fill) */
-    p.penDown = function () { penDown = true; };
+    p.penDown = function () { cur.penDown = true; };
     /** Toggle pen state */
-    p.penToggle = function () { penDown = !penDown; };
+    p.penToggle = function () { cur.penDown = !cur.penDown; };
     /** Get current pen state */
-    p.penGet = function () { return { x: pen.x, y: pen.y, down: penDown }; };
+    p.penGet = function () { return { x: cur.pen.x, y: cur.pen.y, down: cur.penDown }; };
     /** Change pixel (cell) size; keeps pen centered proportionally */
     p.setPixelSize = function (size) {
         size = Math.max(1, Math.floor(size));
         if (size === pixelSize) return;
-        const centerPx = pen.x * pixelSize + pixelSize / 2;
-        const centerPy = pen.y * pixelSize + pixelSize / 2;
+        for (const { pen } of pens) {
+            const centerPx = pen.x * pixelSize + pixelSize / 2;
+            const centerPy = pen.y * pixelSize + pixelSize / 2;
+            pen.x = Math.floor(centerPx / size);
+            pen.y = Math.floor(centerPy / size);
+        }
         pixelSize = size;
-        pen.x = Math.floor(centerPx / pixelSize);
-        pen.y = Math.floor(centerPy / pixelSize);
     };
+    /** Set the brush footprint shown by the pen outline (size in cells, 'square'|'round'|'diamond') */
+    p.setBrush = function (size, shape) {
+        const offsets = brushOffsets(Math.max(1, Math.round(size) || 1), shape);
+        cur.brush = makeBrush(offsets);
+    };
+    /** Set the symmetry whose axes are drawn ({mirror, radial, cx, cy} in cells, or null for none) */
+    p.setSymmetry = function (sym) { symmetry = sym ? { ...sym } : null; };
+    /** Show / hide the symmetry axes overlay */
+    p.setShowSymmetry = function (v) { showSymmetry = !!v; };
     /** Show / hide grid */
     p.setShowGrid = function (v) { showGrid = !!v; };
     /** Adjust grid color */
     p.setGridColor = function (r, g, b, a) { gridColor = p.color(r, g, b, a); };
     /** Draw / set a pixel color via HSV (expects object with h,s,v) */
-    p.drawPixel = function (x, y, hsv) {
-        painted.set(`${Math.round(x)},${Math.round(y)}`, { h: hsv.h, s: hsv.s, v: hsv.v });
+    p.drawPixel = function (x, y, hsv, layer = 'base') {
+        const color = { h: hsv.h, s: hsv.s, v: hsv.v };
+        if (hsv.a !== undefined && hsv.a < 100) color.a = hsv.a;
+        layerFor(layer).painted.set(`${Math.round(x)},${Math.round(y)}`, { ...color, rgb: hsvToRgb(color), alpha255: Math.round((color.a ?? 100) * 2.55) });
+    };
+    /** Remove a painted pixel (erase blend) */
+    p.erasePixel = function (x, y, layer = 'base') { findLayer(layer)?.painted.delete(`${Math.round(x)},${Math.round(y)}`); };
+    /** Read a painted pixel of `layer` (default: topmost visible layer with that cell): {h,s,v,a?,rgb} copy or null */
+    p.getPixel = function (x, y, layer) {
+        const key = `${Math.round(x)},${Math.round(y)}`;
+        const from = layer ? [findLayer(layer)].filter(Boolean) : visibleLayers().reverse();
+        const hsv = from.map(l => l.painted.get(key)).find(Boolean);
+        if (!hsv) return null;
+        const { alpha255, ...pixel } = hsv;
+        return { ...pixel, rgb: [...hsv.rgb] };
     };
-    /** Clear all painted pixels */
-    p.clearPixels = function () { painted.clear(); };
-    /** Return painted pixel bounds {minX,minY,maxX,maxY,count} or null if empty */
-    p.getPaintedBounds = function () {
-        if (!painted.size) return null;
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-        for (const key of painted.keys()) {
-            const [cx, cy] = key.split(',').map(Number);
-            if (cx < minX) minX = cx;
-            if (cy < minY) minY = cy;
-            if (cx > maxX) maxX = cx;
-            if (cy > maxY) maxY = cy;
+    /** Clear painted pixels of one layer, or of every layer (layers and their settings are kept) */
+    p.clearPixels = function (layer) {
+        for (const l of layers) if (!layer || l.name === layer) l.painted.clear();
+    };
+    /** Drop empty layers other than 'base' (e.g. ones a previous script used) */
+    p.pruneLayers = function () { layers = layers.filter(l => l.name === 'base' || l.painted.size); };
+    /** Layers bottom first: [{name, visible, opacity, count}] */
+    p.getLayers = function () {
+        return layers.map(({ name, visible, opacity, painted }) => ({ name, visible, opacity, count: painted.size }));
+    };
+    /** Show / hide a layer */
+    p.setLayerVisible = function (name, v) { const l = findLayer(name); if (l) l.visible = !!v; };
+    /** Set a layer's opacity (0..1) */
+    p.setLayerOpacity = function (name, o) { const l = findLayer(name); if (l && Number.isFinite(o)) l.opacity = Math.min(1, Math.max(0, o)); };
+    /** Move a layer up (+1, towards the top) or down (-1) in the stack */
+    p.moveLayer = function (name, delta) {
+        const from = layers.findIndex(l => l.name === name);
+        const to = from + delta;
+        if (from < 0 || to < 0 || to >= layers.length) return;
+        const [layer] = layers.splice(from, 1);
+        layers.splice(to, 0, layer);
+    };
+    /** Painted pixel bounds {minX,minY,maxX,maxY,count} of one layer (default: all visible layers), or null if empty */
+    p.getPaintedBounds = function (layer) {
+        const from = layer ? [findLayer(layer)].filter(Boolean) : visibleLayers();
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity, count = 0;
+        for (const l of from) {
+            for (const key of l.painted.keys()) {
+                const [cx, cy] = key.split(',').map(Number);
+                if (cx < minX) minX = cx;
+                if (cy < minY) minY = cy;
+                if (cx > maxX) maxX = cx;
+                if (cy > maxY) maxY = cy;
+            }
+            count += l.painted.size;
         }
-        return { minX, minY, maxX, maxY, count: painted.size };
+        if (!count) return null;
+        return { minX, minY, maxX, maxY, count };
     };
-    /** Export painted pixels to a cropped PNG (no grid, just pixels). Options: { filename, includeBackground } */
+    /**
+     * Export painted pixels to a cropped PNG (no grid, just pixels).
+     * Options: { filename, includeBackground, layer, perLayer }
+     *  - default: visible layers flattened with their opacity
+     *  - layer: only that layer (regardless of visibility)
+     *  - perLayer: one PNG per non-empty layer, all cropped to the same bounds so they stack
+     *    ("name.png" -> "name-<layer>.png")
+     */
     p.savePNG = function (opts = {}) {
         try {
-            const bounds = p.getPaintedBounds();
+            const bounds = p.getPaintedBounds(opts.perLayer ? undefined : opts.layer);
             if (!bounds) {
                 // Nothing painted; fall back to current canvas
                 const fn = opts.filename || 'canvas-empty.png';
@@ -213,61 +331,94 @@ export default function sketch(p) {
             if (w > 8000 || h > 8000) {
                 console.warn('Refusing to export huge image', w, h);
             }
-            const g = p.createGraphics(w, h);
-            if (opts.includeBackground !== false) {
-                g.background(bgColor);
+            const filename = opts.filename || 'pixel-canvas.png';
+            if (opts.perLayer) {
+                for (const layer of layers) {
+                    if (!layer.painted.size) continue;
+                    exportPNG([{ ...layer, opacity: 1 }], bounds, w, h, filename.replace(/(\.png)?$/i, `-${layer.name}.png`), opts.includeBackground);
+                }
             } else {
-                g.clear();
+                const from = opts.layer ? [{ ...findLayer(opts.layer), opacity: 1 }] : visibleLayers();
+                exportPNG(from, bounds, w, h, filename, opts.includeBackground);
             }
-            g.noStroke();
-            for (const [key, hsv] of painted) {
+            return { ...bounds, width: w, height: h };
+        } catch (e) {
+            console.error('savePNG failed', e);
+            return null;
+        }
+    };
+    // Render `from` layers into a w x h image cropped at bounds and download it
+    function exportPNG(from, { minX, minY }, w, h, filename, includeBackground) {
+        const g = p.createGraphics(w, h);
+        // One image pixel per canvas pixel and no anti-aliasing so every cell keeps its exact RGB
+        g.pixelDensity(1);
+        g.noSmooth();
+        if (includeBackground !== false) {
+            g.background(bgColor);
+        } else {
+            g.clear();
+        }
+        g.noStroke();
+        for (const layer of from) {
+            for (const [key, hsv] of layer.painted) {
                 const [cx, cy] = key.split(',').map(Number);
                 const x = (cx - minX) * pixelSize;
                 const y = (cy - minY) * pixelSize;
-                g.push();
-                g.colorMode(g.HSB, 360, 100, 100);
-                g.fill(hsv.h, hsv.s, hsv.v);
+                g.fill(hsv.rgb[0], hsv.rgb[1], hsv.rgb[2], hsv.alpha255 * layer.opacity);
                 g.rect(x, y, pixelSize, pixelSize);
-                g.pop();
             }
-            // Convert to blob and trigger download manually (for consistent filename)
-            const filename = opts.filename || 'pixel-canvas.png';
-            const cnv = g.canvas; // HTMLCanvasElement
-            if (cnv.toBlob) {
-                cnv.toBlob(blob => {
-                    if (!blob) return;
-                    const url = URL.createObjectURL(blob);
-                    const a = document.createElement('a');
-                    a.href = url; a.download = filename;
-                    document.body.appendChild(a); a.click();
-                    setTimeout(()=>{ URL.revokeObjectURL(url); a.remove(); }, 0);
-                }, 'image/png');
-            } else {
-                // Fallback via dataURL
-                const a = document.createElement('a');
-                a.href = cnv.toDataURL('image/png');
-                a.download = filename;
-                document.body.appendChild(a); a.click();
-                setTimeout(()=> a.remove(), 0);
+        }
+        // Convert to blob and trigger download manually (for consistent filename)
+        const cnv = g.canvas; // HTMLCanvasElement
+        if (cnv.toBlob) {
+            cnv.toBlob(blob => { if (blob) downloadBlob(blob, filename); }, 'image/png');
+        } else {
+            // Fallback via dataURL
+            const a = document.createElement('a');
+            a.href = cnv.toDataURL('image/png');
+            a.download = filename;
+            document.body.appendChild(a); a.click();
+            setTimeout(()=> a.remove(), 0);
+        }
+    }
+    /**
+     * Export painted pixels as an 8-bit indexed PNG using `palette` ({name, colors}), one image pixel
+     * per cell, cropped to bounds. Each cell takes the topmost visible layer's color mapped to its
+     * nearest palette entry; empty cells are transparent.
+     * Options: { filename, palette }. Resolves to the bounds, or null when nothing is painted.
+     */
+    p.saveIndexedPNG = async function (opts = {}) {
+        const { palette } = opts;
+        const bounds = p.getPaintedBounds();
+        if (!bounds || !palette) return null;
+        const { minX, minY, maxX, maxY } = bounds;
+        const w = maxX - minX + 1, h = maxY - minY + 1;
+        const empty = palette.colors.length; // extra transparent entry
+        const pixels = new Uint8Array(w * h).fill(empty);
+        for (const layer of visibleLayers()) {
+            for (const [key, hsv] of layer.painted) {
+                const [cx, cy] = key.split(',').map(Number);
+                pixels[(cy - minY) * w + (cx - minX)] = nearestIndex(palette, hsv.rgb);
             }
-            return { ...bounds, width: w, height: h };
-        } catch (e) {
-            console.error('savePNG failed', e);
-            return null;
         }
+        const colors = empty < 256 ? [...palette.colors, [0, 0, 0]] : palette.colors;
+        const blob = await encodeIndexedPNG(w, h, pixels, colors, empty < 256 ? empty : -1);
+        downloadBlob(blob, opts.filename || 'pixel-canvas-indexed.png');
+        return { ...bounds, width: w, height: h };
     };
     /** Get current pixel size */
     p.getPixelSize = function () { return pixelSize; };
     /** Set current heading (degrees) */
-    p.setHeading = function (deg) { if (Number.isFinite(deg)) heading = ((deg % 360) + 360) % 360; };
+    p.setHeading = function (deg) { if (Number.isFinite(deg)) cur.heading = ((deg % 360) + 360) % 360; };
     /** Get heading */
-    p.getHeading = function () { return heading; };
+    p.getHeading = function () { return cur.heading; };
     /** Camera: reset view */
     p.resetView = function () { cam.set(0, 0); zoom = 1; };
     /** Camera: get current pan & zoom */
     p.getView = function () { return { x: cam.x, y: cam.y, zoom }; };
-    /** Center camera on current pen location (keeping current zoom) */
+    /** Center camera on the main turtle's pen location (keeping current zoom) */
     p.centerOnPen = function () {
+        const { pen } = pens[0];
         const worldX = pen.x * pixelSize + pixelSize / 2;
         const worldY = pen.y * pixelSize + pixelSize / 2;
         // screen = world*zoom + cam => cam = center - world*zoom
@@ -318,3 +469,48 @@ export default function sketch(p) {
         return false; // prevent page scroll
     };
 }
+
+// Brush outline data: edges to stroke and the distance (in cells) from the pen cell centre to the farthest corner
+function makeBrush(offsets) {
+    const reach = Math.max(...offsets.map(([x, y]) => Math.hypot(Math.abs(x) + 0.5, Math.abs(y) + 0.5)));
+    return { offsets, edges: brushEdges(offsets), reach };
+}
+
+// Outer edges of a set of cells (offsets in cell units): [x0, y0, x1, y1] segments along each
+// cell side that has no neighbouring cell.
+function brushEdges(offsets) {
+    const has = new Set(offsets.map(([x, y]) => `${x},${y}`));
+    const edges = [];
+    for (const [x, y] of offsets) {
+        if (!has.has(`${x},${y - 1}`)) edges.push([x, y, x + 1, y]);
+        if (!has.has(`${x},${y + 1}`)) edges.push([x, y + 1, x + 1, y + 1]);
+        if (!has.has(`${x - 1},${y}`)) edges.push([x, y, x, y + 1]);
+        if (!has.has(`${x + 1},${y}`)) edges.push([x + 1, y, x + 1, y + 1]);
+    }
+    return edges;
+}
+
+// Trigger a browser download for a Blob
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url; a.download = filename;
+    document.body.appendChild(a); a.click();
+    setTimeout(()=>{ URL.revokeObjectURL(url); a.remove(); }, 0);
+}
+
+// Outline and arrow colors per pen: the main turtle keeps yellow, extra turtles cycle through the rest
+const PEN_COLORS = [
+    [[255, 255, 0], [255, 220, 80]],
+    [[0, 230, 255], [120, 240, 255]],
+    [[255, 80, 220], [255, 150, 235]],
+    [[90, 255, 90], [160, 255, 160]],
+    [[255, 140, 40], [255, 185, 120]],
+    [[170, 120, 255], [200, 170, 255]],
+    [[255, 90, 90], [255, 160, 160]],
+    [[240, 240, 240], [200, 200, 200]]
+];
+
+function newLayer(name) {
+    return { name, painted: new Map(), visible: true, opacity: 1 };
+}
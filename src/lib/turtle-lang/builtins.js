@@ -0,0 +1,105 @@
+// Built-in functions available inside Turtle Script expressions.
+// Shared by the lexer (name + arity checks at parse time) and the runtime (evaluation).
+// Angles are in degrees to match the turtle heading convention.
+// Functions receive the evaluated arguments plus the runtime context (seeded random source, turtle state,
+// cells plotted so far).
+// Only `lists` built-ins accept list arguments (and validate them themselves); `effect` ones
+// change their arguments and may also be used as statements.
+
+import { cellKey } from './raster.js';
+
+const DEG = Math.PI / 180;
+
+/** @typedef {{h:number, s:number, v:number}} HSV */
+/** @typedef {{ rng:ReturnType<typeof import('./random.js').createRandom>, turtle:{x:number, y:number, dir:number, penDown:boolean, color:HSV}, cells:Map<number|string, HSV> }} BuiltinContext */
+/** @typedef {{ min:number, max:number, lists?:boolean, effect?:boolean, fn:(args:any[], ctx:BuiltinContext)=>any }} Builtin */
+
+/** Color of a plotted cell (coordinates rounded like the plotter), or undefined */
+function cellAt(ctx, x, y) {
+    return ctx.cells.get(cellKey(Math.round(x), Math.round(y)));
+}
+
+function expectList(name, v) {
+    if (!Array.isArray(v)) throw new Error(`${name}() expects a list as its first argument`);
+    return v;
+}
+
+/** @type {Record<string, Builtin>} */
+export const BUILTINS = {
+    sin: { min: 1, max: 1, fn: ([d]) => Math.sin(d * DEG) },
+    cos: { min: 1, max: 1, fn: ([d]) => Math.cos(d * DEG) },
+    tan: { min: 1, max: 1, fn: ([d]) => Math.tan(d * DEG) },
+    atan2: { min: 2, max: 2, fn: ([y, x]) => Math.atan2(y, x) / DEG },
+    sqrt: { min: 1, max: 1, fn: ([x]) => Math.sqrt(x) },
+    abs: { min: 1, max: 1, fn: ([x]) => Math.abs(x) },
+    floor: { min: 1, max: 1, fn: ([x]) => Math.floor(x) },
+    ceil: { min: 1, max: 1, fn: ([x]) => Math.ceil(x) },
+    round: { min: 1, max: 1, fn: ([x]) => Math.round(x) },
+    min: { min: 2, max: Infinity, fn: args => Math.min(...args) },
+    max: { min: 2, max: Infinity, fn: args => Math.max(...args) },
+    pow: { min: 2, max: 2, fn: ([a, b]) => Math.pow(a, b) },
+    hypot: { min: 2, max: Infinity, fn: args => Math.hypot(...args) },
+    lerp: { min: 3, max: 3, fn: ([a, b, t]) => a + (b - a) * t },
+    clamp: { min: 3, max: 3, fn: ([v, lo, hi]) => v < lo ? lo : (v > hi ? hi : v) },
+    // Seeded randomness (see random.js)
+    random: { min: 2, max: 2, fn: ([a, b], ctx) => a + (b - a) * ctx.rng.next() },
+    randint: {
+        min: 2, max: 2,
+        fn: ([a, b], ctx) => {
+            const lo = Math.ceil(Math.min(a, b)), hi = Math.floor(Math.max(a, b));
+            if (!(lo <= hi)) throw new Error(`randint(${a}, ${b}): there is no whole number from ${a} to ${b}`);
+            return lo + Math.floor(ctx.rng.next() * (hi - lo + 1));
+        }
+    },
+    chance: { min: 1, max: 1, fn: ([p], ctx) => ctx.rng.next() < p ? 1 : 0 },
+    noise: { min: 2, max: 2, fn: ([x, y], ctx) => ctx.rng.noise(x, y) },
+    // Turtle state queries (read-only)
+    xpos: { min: 0, max: 0, fn: (_, ctx) => ctx.turtle.x },
+    ypos: { min: 0, max: 0, fn: (_, ctx) => ctx.turtle.y },
+    heading: { min: 0, max: 0, fn: (_, ctx) => ctx.turtle.dir },
+    pendown: { min: 0, max: 0, fn: (_, ctx) => ctx.turtle.penDown ? 1 : 0 },
+    hue: { min: 0, max: 0, fn: (_, ctx) => ctx.turtle.color.h },
+    sat: { min: 0, max: 0, fn: (_, ctx) => ctx.turtle.color.s },
+    val: { min: 0, max: 0, fn: (_, ctx) => ctx.turtle.color.v },
+    // Reading back plotted cells (the run's own record, so headless runs behave the same)
+    painted: { min: 2, max: 2, fn: ([x, y], ctx) => cellAt(ctx, x, y) ? 1 : 0 },
+    hueat: { min: 2, max: 2, fn: ([x, y], ctx) => cellAt(ctx, x, y)?.h ?? 0 },
+    satat: { min: 2, max: 2, fn: ([x, y], ctx) => cellAt(ctx, x, y)?.s ?? 0 },
+    valat: { min: 2, max: 2, fn: ([x, y], ctx) => cellAt(ctx, x, y)?.v ?? 0 },
+    // Lists
+    len: { min: 1, max: 1, lists: true, fn: ([list]) => expectList('len', list).length },
+    push: {
+        min: 2, max: 2, lists: true, effect: true,
+        fn: ([list, v]) => {
+            expectList('push', list);
+            if (!Number.isFinite(v) && !Array.isArray(v)) throw new Error('push() needs a number or list to add');
+            list.push(v);
+            return list.length;
+        }
+    },
+    pop: {
+        min: 1, max: 1, lists: true, effect: true,
+        fn: ([list]) => {
+            if (!expectList('pop', list).length) throw new Error('pop() from an empty list');
+            return list.pop();
+        }
+    }
+};
+
+/** Is `name` a built-in function? */
+export function isBuiltin(name) {
+    return Object.prototype.hasOwnProperty.call(BUILTINS, name);
+}
+
+/** Whether `name` is a turtle state query, which may also be written without parentheses (xpos, heading, ...) */
+export function isQuery(name) {
+    return isBuiltin(name) && BUILTINS[name].max === 0;
+}
+
+/** Describe the expected argument count, e.g. "1 argument", "at least 2 arguments" */
+export function describeArity(b) {
+    const plural = n => `${n} argument${n === 1 ? '' : 's'}`;
+    if (b.min === b.max) return plural(b.min);
+    if (b.max === Infinity) return `at least ${plural(b.min)}`;
+    return `${b.min} to ${plural(b.max)}`;
+}
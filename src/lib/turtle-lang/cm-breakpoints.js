@@ -0,0 +1,76 @@
+// CodeMirror 6 breakpoint gutter for the step debugger.
+// Clicking the gutter next to a line toggles its breakpoint; breakpoints move with their lines as the
+// text is edited.
+
+import { StateField, StateEffect, RangeSet, Prec } from '@codemirror/state';
+import { EditorView, gutter, GutterMarker } from '@codemirror/view';
+
+const toggleBreakpoint = StateEffect.define();
+
+class BreakpointMarker extends GutterMarker {
+  toDOM() {
+    const dot = document.createElement('span');
+    dot.className = 'cm-breakpoint';
+    dot.textContent = '●';
+    return dot;
+  }
+}
+const marker = new BreakpointMarker();
+
+// Breakpoints as markers at the start of their lines
+const breakpointField = StateField.define({
+  create() { return RangeSet.empty; },
+  update(set, tr) {
+    set = set.map(tr.changes);
+    for (const e of tr.effects) {
+      if (!e.is(toggleBreakpoint)) continue;
+      let has = false;
+      set.between(e.value, e.value, () => { has = true; });
+      set = set.update(has ? { filter: from => from !== e.value } : { add: [marker.range(e.value)] });
+    }
+    return set;
+  }
+});
+
+/** Lines (1-based, ascending) that have a breakpoint */
+export function breakpointLines(state) {
+  const lines = new Set();
+  const set = state.field(breakpointField, false);
+  // Deleting text can bring two breakpoints onto one line
+  if (set) for (const it = set.iter(); it.value; it.next()) lines.add(state.doc.lineAt(it.from).number);
+  return [...lines];
+}
+
+/**
+ * Breakpoint gutter; `onChange(lines)` gets the breakpoint lines whenever they change (toggled, or moved
+ * by an edit). Create it once and keep the same value in the editor's extensions.
+ * @param {(lines:number[])=>void} onChange
+ */
+export function breakpointGutter(onChange) {
+  let reported = ''; // lines last passed to onChange
+  return [
+    breakpointField,
+    // Left of the line numbers
+    Prec.high(gutter({
+      class: 'cm-breakpoint-gutter',
+      markers: view => view.state.field(breakpointField),
+      initialSpacer: () => marker,
+      domEventHandlers: {
+        mousedown(view, line) {
+          view.dispatch({ effects: toggleBreakpoint.of(line.from) });
+          return true;
+        }
+      }
+    })),
+    EditorView.updateListener.of(update => {
+      if (update.startState.field(breakpointField, false) === update.state.field(breakpointField)) return;
+      const lines = breakpointLines(update.state);
+      if (lines.join() !== reported) onChange(lines);
+      reported = lines.join();
+    }),
+    EditorView.baseTheme({
+      '.cm-breakpoint-gutter .cm-gutterElement': { cursor: 'pointer', padding: '0 2px' },
+      '.cm-breakpoint': { color: 'rgb(230,60,60)' }
+    })
+  ];
+}
@@ -7,8 +7,13 @@ import { tags as t } from '@lezer/highlight';
 // Tokenizer inspired by lexer.js but simplified for highlighting only.
 function turtleStream() {
   const keywords = [
-    'forward','back','left','right','pen','up','down','hsv','repeat','var'
+    'forward','back','left','right','goto','setx','sety','setheading','home','fill',
+    'circle','ellipse','rect','arc','polygon','filled',
+    'pen','pensize','brush','up','down','hsv','rgb','color','palette','ink','alpha','blend','layer','mirror','radial','turtle','stamp','repeat','var','def','return',
+    'if','elif','else','seed','in','from','to','step','print'
   ];
+  // Word operators for boolean logic
+  const wordOps = ['and','or','not'];
   const cmdAbbrevs = ['f','fo','for','b','ba','bac','l','le','lef','r','ri','rig'];
   const keywordSet = Object.create(null);
   for (const k of keywords) keywordSet[k] = true;
@@ -24,12 +29,21 @@ function turtleStream() {
       }
       if (stream.eatSpace()) return null;
 
-      // Comments # or // to end of line
+      // Hex color after `color` (otherwise # starts a comment)
+      if (/^\s*color\s+$/i.test(stream.string.slice(0, stream.pos)) && stream.match(/^#[0-9a-fA-F]+/)) return 'atom';
+      // Comments # or // to end of line (strings are consumed whole below, so # inside them is safe)
       if (stream.match('#')) { stream.skipToEnd(); return 'comment'; }
       if (stream.match('//')) { stream.skipToEnd(); return 'comment'; }
 
       const ch = stream.peek();
 
+      // String literals (print arguments)
+      if (ch === '"' || ch === "'") {
+        stream.next();
+        while (!stream.eol() && stream.next() !== ch) { /* consume */ }
+        return 'string';
+      }
+
       // Numbers (allow underscores)
       if (/[0-9]/.test(ch)) {
         let num = '';
@@ -40,6 +54,7 @@ function turtleStream() {
 
       // Operators & punctuation
       if (/[+\-*\/:()=]/.test(ch)) { stream.next(); return 'operator'; }
+      if (/[\[\],]/.test(ch)) { stream.next(); return 'punctuation'; }
       if (ch === ':') { stream.next(); return 'punctuation'; }
       if (ch === '_') { stream.next(); return 'atom'; }
 
@@ -49,9 +64,19 @@ function turtleStream() {
         while (!stream.eol() && isIdent(stream.peek())) id += stream.next();
         const lower = id.toLowerCase();
         if (keywordSet[lower]) return 'keyword';
+        if (wordOps.includes(lower)) return 'operator';
         if (cmdAbbrevs.includes(lower)) return 'keyword';
         // pen up/down second word
         if (lower === 'up' || lower === 'down') return 'atom';
+        // mirror axes and the `at X Y` centre of mirror / radial
+        const before = stream.string.slice(0, stream.pos - id.length);
+        if (/^\s*mirror\s+$/i.test(before) && ['x', 'y', 'xy', 'yx', 'off'].includes(lower)) return 'atom';
+        if (lower === 'at' && /^\s*(mirror|radial)\s/i.test(before)) return 'keyword';
+        if (lower === 'tint' && /^\s*stamp\s+\w+\s+$/i.test(before)) return 'atom';
+        // Built-in function or procedure call: name(
+        if (stream.peek() === '(') return 'function';
+        // brush shape and blend mode names
+        if (['square', 'round', 'diamond', 'normal', 'add', 'multiply', 'screen', 'erase'].includes(lower)) return 'atom';
         return 'variableName';
       }
 
@@ -65,8 +90,10 @@ function turtleStream() {
 const tokenTable = {
   keyword: t.keyword,
   number: t.number,
+  string: t.string,
   comment: t.lineComment,
   variableName: t.variableName,
+  function: t.function(t.variableName),
   operator: t.operator,
   atom: t.atom,
   punctuation: t.punctuation
@@ -81,9 +108,11 @@ export const turtleLanguage = StreamLanguage.define({
 export const turtleHighlightStyle = HighlightStyle.define([
   { tag: t.keyword, color: '#d6b6ff', fontWeight: '600' },
   { tag: t.number, color: '#ffd479' },
+  { tag: t.string, color: '#f7b58a' },
   { tag: t.operator, color: '#f2a2ff' },
   { tag: t.lineComment, color: '#586e75', fontStyle: 'italic' },
   { tag: t.variableName, color: '#9cdcf2' },
+  { tag: t.function(t.variableName), color: '#7ee0c3' },
   { tag: t.atom, color: '#a3f7b5' },
   { tag: t.punctuation, color: '#cccccc' }
 ]);
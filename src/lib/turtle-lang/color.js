@@ -0,0 +1,135 @@
+// Color conversions for Turtle Script.
+// The turtle keeps its color as unrounded HSV (h 0..360, s/v 0..100). Converting an RGB color to
+// HSV and back reproduces the same 0..255 channels after rounding, so `rgb`, `color` and relative
+// `hsv` adjustments can be mixed freely and renderers still output the exact RGB that was asked for.
+
+/** @typedef {{h:number,s:number,v:number}} HSV */
+
+/** CSS-style color names accepted by `color NAME` */
+export const NAMED_COLORS = {
+    black: [0, 0, 0],
+    white: [255, 255, 255],
+    gray: [128, 128, 128],
+    grey: [128, 128, 128],
+    silver: [192, 192, 192],
+    red: [255, 0, 0],
+    maroon: [128, 0, 0],
+    orange: [255, 165, 0],
+    gold: [255, 215, 0],
+    yellow: [255, 255, 0],
+    olive: [128, 128, 0],
+    lime: [0, 255, 0],
+    green: [0, 128, 0],
+    teal: [0, 128, 128],
+    cyan: [0, 255, 255],
+    aqua: [0, 255, 255],
+    blue: [0, 0, 255],
+    navy: [0, 0, 128],
+    indigo: [75, 0, 130],
+    purple: [128, 0, 128],
+    violet: [238, 130, 238],
+    magenta: [255, 0, 255],
+    fuchsia: [255, 0, 255],
+    pink: [255, 192, 203],
+    brown: [165, 42, 42],
+    tan: [210, 180, 140],
+    beige: [245, 245, 220],
+    coral: [255, 127, 80],
+    salmon: [250, 128, 114],
+    crimson: [220, 20, 60],
+    turquoise: [64, 224, 208],
+    skyblue: [135, 206, 235]
+};
+
+/** HSV -> [r, g, b] with 0..255 integer channels */
+export function hsvToRgb({ h, s, v }) {
+    const sat = s / 100, val = v / 100;
+    const hue = (((h % 360) + 360) % 360) / 60;
+    const c = val * sat;
+    const x = c * (1 - Math.abs((hue % 2) - 1));
+    const m = val - c;
+    let r = 0, g = 0, b = 0;
+    if (hue < 1) { r = c; g = x; }
+    else if (hue < 2) { r = x; g = c; }
+    else if (hue < 3) { g = c; b = x; }
+    else if (hue < 4) { g = x; b = c; }
+    else if (hue < 5) { r = x; b = c; }
+    else { r = c; b = x; }
+    return [Math.round((r + m) * 255), Math.round((g + m) * 255), Math.round((b + m) * 255)];
+}
+
+/** [r, g, b] (0..255) -> unrounded HSV; greys get hue 0 */
+export function rgbToHsv(r, g, b) {
+    const rn = r / 255, gn = g / 255, bn = b / 255;
+    const max = Math.max(rn, gn, bn), min = Math.min(rn, gn, bn);
+    const d = max - min;
+    let h = 0;
+    if (d > 0) {
+        if (max === rn) h = 60 * (((gn - bn) / d) % 6);
+        else if (max === gn) h = 60 * ((bn - rn) / d + 2);
+        else h = 60 * ((rn - gn) / d + 4);
+    }
+    return { h: ((h % 360) + 360) % 360, s: max === 0 ? 0 : (d / max) * 100, v: max * 100 };
+}
+
+/** Parse `#rgb` / `#rrggbb` or a color name; returns [r, g, b] or null */
+export function parseColor(text) {
+    const lower = text.toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(NAMED_COLORS, lower)) return [...NAMED_COLORS[lower]];
+    const m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(lower);
+    if (!m) return null;
+    const hex = m[1].length === 3 ? m[1].replace(/./g, ch => ch + ch) : m[1];
+    return [0, 2, 4].map(k => parseInt(hex.slice(k, k + 2), 16));
+}
+
+/** [r, g, b] -> '#rrggbb' */
+export function toHex([r, g, b]) {
+    return '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+}
+
+export const BLEND_MODES = ['normal', 'add', 'multiply', 'screen', 'erase'];
+
+// Separable blend functions on 0..1 channels (backdrop b, source s)
+const BLEND = {
+    normal: (b, s) => s,
+    add: (b, s) => Math.min(1, b + s),
+    multiply: (b, s) => b * s,
+    screen: (b, s) => b + s - b * s
+};
+
+/**
+ * Composite `src` painted with opacity `alpha` (0..100) and blend `mode` over the cell color `dst`
+ * (undefined for an empty cell). Colors may carry `a` (0..100, absent = opaque). Channels of the
+ * result are rounded to whole RGB values so it converts back exactly. Returns null when the cell
+ * ends up fully transparent (erased).
+ * @param {HSV & {a?:number}|undefined} dst
+ * @param {HSV} src
+ * @param {number} alpha
+ * @param {string} mode
+ * @returns {(HSV & {a?:number})|null}
+ */
+export function blendColor(dst, src, alpha, mode) {
+    const sa = alpha / 100;
+    const da = dst ? (dst.a ?? 100) / 100 : 0;
+    if (mode === 'erase') {
+        const outA = da * (1 - sa);
+        return outA <= 0 ? null : withAlpha({ ...dst }, outA);
+    }
+    if (!dst || da === 0) return withAlpha({ h: src.h, s: src.s, v: src.v }, sa);
+    const sc = hsvToRgb(src).map(c => c / 255), dc = hsvToRgb(dst).map(c => c / 255);
+    const outA = sa + da * (1 - sa);
+    if (outA <= 0) return null;
+    const out = sc.map((s, k) => {
+        // Blend with the backdrop where it exists, then source-over
+        const mixed = (1 - da) * s + da * BLEND[mode](dc[k], s);
+        return Math.round(255 * (mixed * sa + dc[k] * da * (1 - sa)) / outA);
+    });
+    return withAlpha(rgbToHsv(out[0], out[1], out[2]), outA);
+}
+
+// Attach alpha (0..1 in, 0..100 stored); opaque colors stay plain {h,s,v}
+function withAlpha(color, a) {
+    const pct = Math.round(a * 1000) / 10;
+    if (pct >= 100) delete color.a; else color.a = pct;
+    return color;
+}
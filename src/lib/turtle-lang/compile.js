@@ -0,0 +1,338 @@
+// Turtle language compiler
+// Turns every expression of a parsed program into a closure once per run, so loops never walk the
+// expression tree (and switch on node kinds) each time a value is needed. Statements keep their token
+// shape: compileProgram() returns copies of the tokens whose expression fields hold closures, which the
+// runtime's evalValue() simply calls. This is the only place expressions are evaluated.
+// Variable names are resolved here too: each becomes an index into the globals array, or into the slots
+// of the procedure call running it, so reading or assigning a variable never looks a name up.
+
+import { BUILTINS, isQuery } from './builtins.js';
+
+/** A storable value: finite number or list */
+export const isValue = v => Number.isFinite(v) || Array.isArray(v);
+
+/**
+ * Note on `err` the expression node it came from (`err.at`, a node with a source span), unless a node
+ * nested deeper already did. The engine turns it into the line and column of the error message.
+ * @param {any} err
+ * @param {any} node
+ */
+export function blame(err, node) {
+    if (node && err && typeof err === 'object' && err.at === undefined) err.at = node;
+    return err;
+}
+
+/** Validate a list index and return it; `node` is the indexing expression, for the error position */
+export function checkIndex(list, i, node) {
+    if (!Array.isArray(list)) throw blame(new Error('Only lists can be indexed'), node);
+    if (!Number.isInteger(i)) throw blame(new Error(`List index must be a whole number, got ${i}`), node);
+    if (i < 0 || i >= list.length) throw blame(new Error(`List index ${i} out of range (length ${list.length})`), node);
+    return i;
+}
+
+/** Lists cannot take part in arithmetic / comparison / logic; `node` is the operation, for the error position */
+export function noList(v, op, node) {
+    if (Array.isArray(v)) throw blame(new Error(`Cannot use a list with '${op}'`), node);
+    return v;
+}
+
+/** @typedef {number|any[]|undefined} Slot */ // undefined until the variable is declared
+
+/**
+ * What compiled closures read from the running program.
+ * @typedef {{
+ *  globals:Slot[], // global variables by slot; never replaced
+ *  globalNames:string[], // name of each global slot; compileProgram() adds the names it meets
+ *  frame:()=>Slot[], // slots of the current turtle's innermost procedure call
+ *  ctx:import('./builtins.js').BuiltinContext, // mutated in place by the runtime, never replaced
+ *  callProc:(name:string, args:(()=>any)[])=>number|any[]|undefined // run a procedure, returning its value
+ * }} CompileEnv
+ */
+
+/**
+ * Where the variables of a block live. At the top level (and in turtle blocks) every name is a global.
+ * In a procedure, its parameters and the names it declares (var, loop variables) are slots of the call,
+ * parameters first; a declared local reads the global of the same name until its `var` has run.
+ * A state query name (xpos, heading, ...) with no variable of that name reads the query.
+ * @typedef {{ read:(name:string)=>(()=>Slot), declare:(name:string)=>((v:any)=>void),
+ *   assign:(name:string)=>((v:any)=>void) }} Scope
+ */
+
+/**
+ * @param {CompileEnv} env
+ * @param {(name:string)=>number} globalSlot
+ * @param {Map<string, number>|null} locals slot of each local name, null at the top level
+ * @param {number} params how many of the locals are parameters (always set)
+ * @returns {Scope}
+ */
+function createScope({ globals, frame, ctx }, globalSlot, locals = null, params = 0) {
+    const undeclared = name => new Error(`Cannot reassign undeclared variable '${name}'`);
+    function readSlot(name) {
+        const g = globalSlot(name), l = locals?.get(name);
+        if (l === undefined) return () => globals[g];
+        if (l < params) return () => frame()[l];
+        return () => {
+            const v = frame()[l];
+            return v !== undefined ? v : globals[g];
+        };
+    }
+    return {
+        read(name) {
+            const get = readSlot(name);
+            if (!isQuery(name)) return get;
+            const { fn } = BUILTINS[name];
+            return () => {
+                const v = get();
+                return v !== undefined ? v : fn([], ctx);
+            };
+        },
+        declare(name) {
+            const l = locals?.get(name);
+            if (l !== undefined) return v => { frame()[l] = v; };
+            const g = globalSlot(name);
+            return v => { globals[g] = v; };
+        },
+        // Reassign the nearest declared binding: the local once declared, else the global
+        assign(name) {
+            const g = globalSlot(name), l = locals?.get(name);
+            if (l === undefined) {
+                return v => {
+                    if (globals[g] === undefined) throw undeclared(name);
+                    globals[g] = v;
+                };
+            }
+            return v => {
+                const slots = frame();
+                if (slots[l] !== undefined) slots[l] = v;
+                else if (globals[g] !== undefined) globals[g] = v;
+                else throw undeclared(name);
+            };
+        }
+    };
+}
+
+/** Slots of procedure `def`: its parameters, then every name its body declares, in order of appearance */
+function localSlots(def) {
+    const slots = new Map(def.params.map((name, k) => [name, k]));
+    const visit = body => {
+        if (!body) return;
+        for (const t of body) {
+            const declares = (t.type === 'VAR' && !t.reassign) || t.type === 'FOR' || t.type === 'FOREACH';
+            if (declares && !slots.has(t.name)) slots.set(t.name, slots.size);
+            visit(t.body);
+            visit(t.orelse);
+        }
+    };
+    visit(def.body);
+    return slots;
+}
+
+/**
+ * Compile an expression field of a token: a number, `{ref}`, `{expr}` or a bare AST node.
+ * Anything else evaluates to NaN.
+ * @param {any} node
+ * @param {CompileEnv} env
+ * @param {Scope} scope
+ * @returns {() => any}
+ */
+function compileValue(node, env, scope) {
+    if (node == null) return () => NaN;
+    if (typeof node === 'number') return () => node;
+    if (node.ref) return scope.read(node.ref);
+    if (node.expr) return compileExpr(node.expr, env, scope);
+    if (node.kind) return compileExpr(node, env, scope);
+    return () => NaN;
+}
+
+/**
+ * @param {any} ast
+ * @param {CompileEnv} env
+ * @param {Scope} scope
+ * @returns {() => any}
+ */
+function compileExpr(ast, env, scope) {
+    const sub = node => compileExpr(node, env, scope);
+    switch (ast.kind) {
+        case 'num': {
+            const { value } = ast;
+            return () => value;
+        }
+        case 'var':
+            return scope.read(ast.name);
+        case 'unary': {
+            const value = sub(ast.value), { op } = ast;
+            return op === '-' ? () => -noList(value(), op, ast) : () => +noList(value(), op, ast);
+        }
+        case 'list': {
+            const items = ast.items.map(sub);
+            return () => items.map((item, k) => {
+                const v = item();
+                if (!isValue(v)) throw blame(new Error('Invalid list item'), ast.items[k]);
+                return v;
+            });
+        }
+        case 'index': {
+            const target = sub(ast.target), index = sub(ast.index);
+            return () => {
+                const list = target();
+                return list[checkIndex(list, index(), ast)];
+            };
+        }
+        case 'not': {
+            const value = sub(ast.value);
+            return () => {
+                const v = noList(value(), 'not', ast);
+                if (!Number.isFinite(v)) return NaN;
+                return v === 0 ? 1 : 0;
+            };
+        }
+        case 'logic': {
+            const left = sub(ast.left), right = sub(ast.right), { op } = ast, isAnd = op === 'and';
+            return () => {
+                // Short-circuit: the right side is only evaluated when it decides the result
+                const a = noList(left(), op, ast);
+                if (!Number.isFinite(a)) return NaN;
+                if (isAnd ? a === 0 : a !== 0) return isAnd ? 0 : 1;
+                const b = noList(right(), op, ast);
+                if (!Number.isFinite(b)) return NaN;
+                return b !== 0 ? 1 : 0;
+            };
+        }
+        case 'builtin': {
+            const b = BUILTINS[ast.name], args = ast.args.map(sub), { ctx } = env, label = `${ast.name}()`;
+            // Errors from the function itself (pop on an empty list, ...) point at the call
+            const apply = vals => {
+                try { return b.fn(vals, ctx); } catch (e) { throw blame(e, ast); }
+            };
+            if (b.lists) return () => apply(args.map(arg => arg()));
+            return () => {
+                const vals = args.map(arg => arg());
+                vals.forEach(v => noList(v, label, ast));
+                if (vals.some(v => !Number.isFinite(v))) return NaN;
+                return apply(vals);
+            };
+        }
+        case 'call': {
+            const { callProc } = env, { name } = ast, args = ast.args.map(sub);
+            return () => {
+                const val = callProc(name, args);
+                if (val === undefined) throw blame(new Error(`Procedure '${name}' did not return a value`), ast);
+                return val;
+            };
+        }
+        case 'bin':
+            return compileBinary(ast, sub(ast.left), sub(ast.right));
+    }
+    return () => NaN;
+}
+
+// One closure per operator; both sides are evaluated (left first) and checked before the operator applies
+function compileBinary(ast, left, right) {
+    const { op } = ast;
+    switch (op) {
+        case '+': return () => noList(left(), op, ast) + noList(right(), op, ast);
+        case '-': return () => noList(left(), op, ast) - noList(right(), op, ast);
+        case '*': return () => noList(left(), op, ast) * noList(right(), op, ast);
+        case '/': return () => {
+            const a = noList(left(), op, ast), b = noList(right(), op, ast);
+            return b === 0 ? NaN : a / b;
+        };
+        case '%': return () => {
+            const a = noList(left(), op, ast), b = noList(right(), op, ast);
+            return b === 0 ? NaN : a % b;
+        };
+        case '==': return () => noList(left(), op, ast) === noList(right(), op, ast) ? 1 : 0;
+        case '!=': return () => noList(left(), op, ast) !== noList(right(), op, ast) ? 1 : 0;
+        case '<': return () => noList(left(), op, ast) < noList(right(), op, ast) ? 1 : 0;
+        case '<=': return () => noList(left(), op, ast) <= noList(right(), op, ast) ? 1 : 0;
+        case '>': return () => noList(left(), op, ast) > noList(right(), op, ast) ? 1 : 0;
+        case '>=': return () => noList(left(), op, ast) >= noList(right(), op, ast) ? 1 : 0;
+    }
+    return () => {
+        noList(left(), op, ast); noList(right(), op, ast);
+        return NaN;
+    };
+}
+
+/**
+ * Copy `tokens` (recursively, including procedure, turtle and stamp bodies) with every expression
+ * field compiled. Fields that are null stay null, since several statements read that as "not given".
+ * Statements that store a variable get a `set(value)` closure (VAR, and the loop variable of FOR /
+ * FOREACH); HSV parameters that name a variable get a `get()` one. Procedures get `size`, the number of
+ * slots a call needs, and `locals`, the name of each.
+ * @param {import('./interpreter.js').Token[]} tokens
+ * @param {CompileEnv} env
+ * @returns {import('./interpreter.js').Token[]}
+ */
+export function compileProgram(tokens, env) {
+    const slotOf = new Map(env.globalNames.map((name, g) => [name, g]));
+    function globalSlot(name) {
+        let g = slotOf.get(name);
+        if (g === undefined) {
+            g = env.globalNames.push(name) - 1;
+            slotOf.set(name, g);
+        }
+        return g;
+    }
+
+    /** @returns {any} */
+    function compileToken(t, scope) {
+        const opt = node => node == null ? node : compileValue(node, env, scope);
+        const at = pos => pos && { x: opt(pos.x), y: opt(pos.y) };
+        const block = body => body && body.map(tok => compileToken(tok, scope));
+        const hsv = param => param.value && param.value.ref ? { ...param, value: { ...param.value, get: scope.read(param.value.ref) } } : param;
+        switch (t.type) {
+            case 'MOVE':
+            case 'TURN':
+            case 'SETHEADING':
+            case 'PENSIZE':
+            case 'INK':
+            case 'ALPHA':
+            case 'SEED':
+            case 'EVAL':
+            case 'RETURN':
+                return { ...t, value: opt(t.value) };
+            case 'VAR':
+                return { ...t, value: opt(t.value), set: t.reassign ? scope.assign(t.name) : scope.declare(t.name) };
+            case 'GOTO':
+                return { ...t, x: opt(t.x), y: opt(t.y) };
+            case 'SHAPE':
+                return { ...t, a: opt(t.a), b: opt(t.b) };
+            case 'RGB':
+                return { ...t, r: opt(t.r), g: opt(t.g), b: opt(t.b) };
+            case 'HSV':
+                return { ...t, h: hsv(t.h), s: hsv(t.s), v: hsv(t.v) };
+            case 'MIRROR':
+                return { ...t, at: at(t.at) };
+            case 'RADIAL':
+                return { ...t, count: opt(t.count), at: at(t.at) };
+            case 'SETINDEX':
+                return { ...t, target: opt(t.target), index: opt(t.index), value: opt(t.value) };
+            case 'PRINT':
+                return { ...t, args: t.args.map(arg => arg.str !== undefined ? arg : opt(arg)) };
+            case 'CALL':
+                return { ...t, args: t.args.map(opt) };
+            case 'REPEAT':
+                return { ...t, count: opt(t.count), until: opt(t.until), body: block(t.body) };
+            case 'IF':
+                return { ...t, test: opt(t.test), body: block(t.body), orelse: block(t.orelse) };
+            case 'FOREACH':
+                return { ...t, list: opt(t.list), set: scope.declare(t.name), body: block(t.body) };
+            case 'FOR':
+                return { ...t, from: opt(t.from), to: opt(t.to), step: opt(t.step), set: scope.declare(t.name), body: block(t.body) };
+            case 'DEF': {
+                const locals = localSlots(t);
+                const inner = createScope(env, globalSlot, locals, t.params.length);
+                return { ...t, size: locals.size, locals: [...locals.keys()], body: t.body.map(tok => compileToken(tok, inner)) };
+            }
+            case 'TURTLE':
+            case 'STAMPDEF':
+                return { ...t, body: block(t.body) };
+            default:
+                return t; // no expressions
+        }
+    }
+
+    const top = createScope(env, globalSlot);
+    return tokens.map(t => compileToken(t, top));
+}
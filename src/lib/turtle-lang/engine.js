@@ -0,0 +1,340 @@
+// Turtle language execution engine
+// Runs a parsed program on an explicit frame stack (one per turtle), so execution can stop after any
+// statement and resume later. interpret(), interpretAsync() and createStepper() in interpreter.js only
+// decide when to call step(); everything they produce comes from this one code path.
+
+import { createRuntime, DEFAULT_TURTLE } from './runtime.js';
+
+// Statements that move, turn or paint; a step ends after each of these
+export const MOTION = new Set(['MOVE', 'TURN', 'GOTO', 'SETHEADING', 'HOME', 'FILL', 'SHAPE', 'STAMP']);
+
+/** Default cap on the statements one run may execute (see options.maxStatements) */
+export const DEFAULT_MAX_STATEMENTS = 1000000;
+// Statements between two checks of the time limit
+const CLOCK_EVERY = 1024;
+// How runtime errors name each kind of loop, by repeat frame mode
+const LOOP_WORDS = { count: 'repeat', until: 'repeat until', range: 'for', each: 'for' };
+
+/** Statement a frame is running: the last one it handed out, or the loop itself while it checks for another pass */
+const running = fr => fr.index > 0 ? fr.body[fr.index - 1] : fr.head;
+
+/**
+ * A block being executed: `index` is the next statement of `body`.
+ *  - block:  a `turtle NAME:` body, or the program itself for the main turtle
+ *  - repeat: one pass of a loop; `k` counts finished passes, `head` is the loop statement; for loops store
+ *            their variable through `set` (see compileProgram)
+ *  - if:     the branch taken
+ *  - call:   a procedure body (`name`); leaving it closes the call's scope
+ *  - nested: a body run to completion from inside a statement (stamp definition `name`); like `call`,
+ *            break / continue / return never reach past it
+ * @typedef {{ body:import('./interpreter.js').Token[], index:number, kind:'block'|'repeat'|'if'|'call'|'nested',
+ *   mode?:'count'|'until'|'each'|'range', head?:import('./interpreter.js').Token, k?:number, times?:number,
+ *   until?:any, broken?:boolean, name?:string, set?:(v:any)=>void, items?:any[], start?:number, step?:number }} Frame
+ */
+
+/**
+ * Create the engine for one program run.
+ * step() runs the current turtle until it has executed one MOTION statement, then passes the turn to
+ * the next turtle that has work (round-robin in creation order). Everything between two motions, including
+ * loop and call bookkeeping, belongs to the same step.
+ * A run that executes more than options.maxStatements statements, or spends more than options.maxTimeMs
+ * inside step(), fails with a "possible infinite loop" error naming the innermost loop's line.
+ * Any other error from the program gets the line and column it came from, and where it ran (see locate()).
+ * @param {import('./interpreter.js').Token[]} tokens
+ * @param {import('./interpreter.js').InterpretOptions} options
+ */
+export function createEngine(tokens, options = {}) {
+    const { maxStatements = DEFAULT_MAX_STATEMENTS, maxTimeMs = Infinity } = options;
+    const rt = createRuntime(options, { runBody });
+    const { evalValue } = rt;
+    const program = rt.compile(tokens);
+    rt.define(program);
+
+    // One thread per turtle, in creation order: blocks handed to the turtle wait in `queue` and run
+    // one after another on its own frame stack. `pending` is the statement a paused step stopped before.
+    /** @type {{ name:string, queue:import('./interpreter.js').Token[][], frames:Frame[], pending?:import('./interpreter.js').Token|null }[]} */
+    const threads = [{ name: DEFAULT_TURTLE, queue: [program], frames: [], pending: null }];
+    let current = 0; // thread whose turn it is
+    /** @type {Frame[]} */
+    let frames = threads[0].frames;
+    let finished = false;
+    rt.syncCanvasPen();
+    let executed = 0; // statements run so far
+    let spent = 0; // ms spent in earlier step() calls
+    let stepStart = 0;
+    let line = null; // line of the statement a step paused before, or else of the last one it ran
+
+    const isTrue = v => Number.isFinite(v) && v !== 0;
+
+    /** Set up the next pass of a finished loop frame; false when the loop is over */
+    function nextPass(fr) {
+        if (fr.kind !== 'repeat' || fr.broken) return false;
+        fr.index = 0; // before the until check, so that its errors point at the loop (see running())
+        switch (fr.mode) {
+            case 'until': {
+                fr.k++;
+                const condVal = evalValue(fr.until);
+                if (!Number.isFinite(condVal)) throw new Error('Invalid until expression');
+                if (condVal !== 0) return false;
+                break;
+            }
+            case 'count':
+                if (++fr.k >= fr.times) return false;
+                break;
+            case 'range':
+                if (++fr.k >= fr.times) return false;
+                fr.set(fr.start + fr.k * fr.step);
+                break;
+            case 'each':
+                if (++fr.k >= fr.items.length) return false;
+                fr.set(fr.items[fr.k]);
+                break;
+        }
+        return true;
+    }
+
+    /** Next statement of the innermost frame above `floor`, leaving finished frames; null when none is left */
+    function nextToken(floor) {
+        while (frames.length > floor) {
+            const fr = frames[frames.length - 1];
+            if (fr.index < fr.body.length) return fr.body[fr.index++];
+            if (nextPass(fr)) continue;
+            frames.pop();
+            if (fr.kind === 'call') rt.exitCall(); // leave procedure scope
+        }
+        return null;
+    }
+
+    /** Innermost loop frame that break / continue may reach (not past a call), or -1 */
+    function loopFrame() {
+        for (let i = frames.length - 1; i >= 0; i--) {
+            const { kind } = frames[i];
+            if (kind === 'call' || kind === 'nested') return -1;
+            if (kind === 'repeat') return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Error for a run over its statement or time budget. It points at the innermost running `repeat until`
+     * (the only loop that can run forever), or else the innermost loop of any kind.
+     */
+    function overBudget(what) {
+        const loop = frames.findLast(fr => fr.mode === 'until') || frames.findLast(fr => fr.kind === 'repeat');
+        const err = new Error(`Stopped after ${what}: possible infinite loop${loop ? ` at line ${loop.head.line}` : ''}`);
+        if (loop) { err.line = loop.head.line; err.col = loop.head.col; }
+        return err;
+    }
+
+    function execToken(tok) {
+        if (++executed > maxStatements) throw overBudget(`${maxStatements} statements`);
+        if (executed % CLOCK_EVERY === 0 && spent + performance.now() - stepStart > maxTimeMs) {
+            throw overBudget(`${Math.round(maxTimeMs) / 1000} s`);
+        }
+        const mark = rt.record ? rt.ops.length : -1;
+        switch (tok.type) {
+            case 'REPEAT': {
+                if (tok.mode === 'count') {
+                    const countVal = evalValue(tok.count);
+                    if (!Number.isFinite(countVal)) throw new Error('Invalid repeat count');
+                    const times = Math.floor(countVal);
+                    if (times > 0) frames.push({ body: tok.body, index: 0, kind: 'repeat', mode: 'count', head: tok, k: 0, times });
+                } else { // until: checked before every pass, including the first
+                    const condVal = evalValue(tok.until);
+                    if (!Number.isFinite(condVal)) throw new Error('Invalid until expression');
+                    if (condVal === 0) frames.push({ body: tok.body, index: 0, kind: 'repeat', mode: 'until', head: tok, k: 0, until: tok.until });
+                }
+                break;
+            }
+            case 'FOR': {
+                const { start, step, count } = rt.forRange(tok);
+                if (count > 0) {
+                    tok.set(start);
+                    frames.push({ body: tok.body, index: 0, kind: 'repeat', mode: 'range', head: tok, k: 0, times: count, set: tok.set, start, step });
+                }
+                break;
+            }
+            case 'FOREACH': {
+                const items = rt.eachItems(tok);
+                if (items.length) {
+                    tok.set(items[0]);
+                    frames.push({ body: tok.body, index: 0, kind: 'repeat', mode: 'each', head: tok, k: 0, set: tok.set, items });
+                }
+                break;
+            }
+            case 'IF': {
+                const branch = isTrue(evalValue(tok.test)) ? tok.body : tok.orelse;
+                if (branch) frames.push({ body: branch, index: 0, kind: 'if' });
+                break;
+            }
+            case 'BREAK':
+            case 'CONTINUE': {
+                // Finish the loop's current pass right away, dropping the frames nested inside it
+                const i = loopFrame();
+                if (i === -1) break;
+                const fr = frames[i];
+                fr.index = fr.body.length;
+                if (tok.type === 'BREAK') fr.broken = true;
+                frames.length = i + 1;
+                break;
+            }
+            case 'CALL': {
+                const proc = rt.enterCall(tok.name, tok.args);
+                frames.push({ body: proc.body, index: 0, kind: 'call', name: tok.name });
+                break;
+            }
+            case 'RETURN': {
+                rt.setReturn(tok);
+                // Unwind to the innermost call frame; nextToken pops it and restores the caller scope
+                for (let i = frames.length - 1; i >= 0; i--) {
+                    const fr = frames[i];
+                    if (fr.kind === 'call') {
+                        fr.index = fr.body.length;
+                        frames.length = i + 1;
+                        break;
+                    }
+                }
+                break;
+            }
+            case 'TURTLE': {
+                rt.spawnTurtle(tok.name);
+                let thread = threads.find(th => th.name === tok.name);
+                if (!thread) threads.push(thread = { name: tok.name, queue: [], frames: [], pending: null });
+                thread.queue.push(tok.body);
+                break;
+            }
+            default:
+                rt.execCommand(tok);
+        }
+        // Operations carry the line of the statement that made them; ones made by statements it ran
+        // (procedures called in expressions, stamp bodies) already have theirs
+        if (mark >= 0) for (let i = mark; i < rt.ops.length; i++) rt.ops[i].line ??= tok.line;
+    }
+
+    /** Run `body` to completion on the current turtle without yielding (see Frame kinds call / nested) */
+    function runBody(body, kind, name) {
+        const floor = frames.length;
+        frames.push({ body, index: 0, kind, name });
+        for (let tok = nextToken(floor); tok; tok = nextToken(floor)) execToken(tok);
+    }
+
+    /**
+     * Give an error from the running program its source position and a short context, innermost first:
+     * "Cannot use a list with '+' (line 2, col 12), in total() called from line 5, inside repeat at line 4 (pass 3)".
+     * The position is the expression node the error came from (err.at, see blame() in compile.js), or else
+     * the statement. Called while the frames are still as they were when the error was thrown; errors that
+     * already have a line (run limits) are left alone.
+     */
+    function locate(err) {
+        if (!(err instanceof Error) || err.line !== undefined) return err;
+        const top = frames[frames.length - 1];
+        const at = err.at || (top && running(top));
+        delete err.at;
+        if (!at || !at.line) return err;
+        const context = [];
+        let repeats = 0; // recursion shows up as the same call over and over: say it once, with a count
+        for (let i = frames.length - 1; i > 0; i--) {
+            const fr = frames[i], from = running(frames[i - 1]).line;
+            let entry;
+            if (fr.kind === 'call') entry = `in ${fr.name}() called from line ${from}`;
+            else if (fr.kind === 'nested') entry = `in stamp ${fr.name} defined at line ${from}`;
+            else if (fr.kind === 'repeat' && fr.index > 0) entry = `inside ${LOOP_WORDS[fr.mode]} at line ${fr.head.line} (pass ${fr.k + 1})`;
+            else continue;
+            if (entry === context[context.length - 1]) { repeats++; continue; }
+            if (repeats) context[context.length - 1] += ` (${repeats + 1} times)`;
+            repeats = 0;
+            if (context.length === 3) break;
+            context.push(entry);
+        }
+        if (repeats) context[context.length - 1] += ` (${repeats + 1} times)`;
+        err.line = at.line;
+        err.col = at.col;
+        err.context = context;
+        err.message += ` (line ${at.line}, col ${at.col})${context.map(c => `, ${c}`).join('')}`;
+        return err;
+    }
+
+    /** Procedure calls open on the current turtle */
+    function callDepth() {
+        let depth = 0;
+        for (const fr of frames) if (fr.kind === 'call') depth++;
+        return depth;
+    }
+
+    /**
+     * Run until one MOTION statement has executed; returns { done, line } (line: that statement's line).
+     * With `pauseBefore`, every statement a turtle reaches is first passed to it, with the turtle's name and
+     * call depth; when it returns true the step stops before that statement and returns
+     * { done:false, paused:true, line }. The statement then runs first on the next call, without being
+     * asked about again. `def` lines (which do nothing when reached) and statements run from inside another
+     * one (procedures called in an expression, stamp definitions) are not asked about.
+     * @param {(tok:import('./interpreter.js').Token, at:{ turtle:string, depth:number })=>boolean} [pauseBefore]
+     * @returns {{ done:boolean, line?:number|null, paused?:boolean }}
+     */
+    function step(pauseBefore) {
+        if (finished) return { done: true };
+        stepStart = performance.now();
+        try {
+            return runTurns(pauseBefore);
+        } catch (e) {
+            throw locate(e);
+        } finally {
+            spent += performance.now() - stepStart;
+        }
+    }
+
+    // Body of step(): hand out turns until a motion, a pause or the end of the program
+    function runTurns(pauseBefore) {
+        let idle = 0; // turtles in a row found with nothing left to run
+        while (idle < threads.length) {
+            const thread = threads[current];
+            if (!thread.frames.length && !thread.queue.length) { idle++; current = (current + 1) % threads.length; continue; }
+            idle = 0;
+            rt.useTurtle(thread.name);
+            frames = thread.frames;
+            // Start the next block handed to this turtle once the previous one is done
+            if (!frames.length) frames.push({ body: thread.queue.shift(), index: 0, kind: 'block' });
+            let tok = thread.pending || nextToken(0), resumed = !!thread.pending;
+            thread.pending = null;
+            for (; tok; tok = nextToken(0), resumed = false) {
+                line = tok.line;
+                if (pauseBefore && !resumed && tok.type !== 'DEF' && pauseBefore(tok, { turtle: thread.name, depth: callDepth() })) {
+                    thread.pending = tok;
+                    return { done: false, paused: true, line };
+                }
+                execToken(tok);
+                if (MOTION.has(tok.type)) {
+                    current = (current + 1) % threads.length;
+                    return { done: false, line };
+                }
+            }
+        }
+        finished = true;
+        return { done: true };
+    }
+
+    function done() { return finished; }
+
+    /**
+     * The current turtle's position, color and visible variables, the operations so far, and where the run is:
+     * `line` as in step(), `turtle` the turtle whose turn it is and `depth` its procedure call depth.
+     * `ops` is the run's own buffer: a caller may empty it between steps once it has used them (result()
+     * then only holds the operations made since).
+     */
+    function getState() {
+        const { st } = rt;
+        return {
+            x: Math.round(st.x), y: Math.round(st.y), heading: st.dir, penDown: st.penDown, color: { ...st.color },
+            vars: rt.visibleVars(), ops: rt.ops, line, turtle: threads[current].name, depth: callDepth()
+        };
+    }
+
+    /** Final result once done (null before) */
+    function result() {
+        if (!finished) return null;
+        const res = rt.result();
+        return { ...res, operations: [...res.operations] };
+    }
+
+    return { step, done, getState, result };
+}
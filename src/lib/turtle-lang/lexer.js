@@ -6,30 +6,104 @@
  *   left n           - rotate left n units (l, le, lef, left)
  *   right n          - rotate right n units (r, ri, rig, righ, right)
  *   pen up|down      - raise or lower the pen
+ *   pensize N        - brush width in cells (1 = single cell)
+ *   brush square|round|diamond - brush footprint stamped at every cell the pen (or a shape outline) covers
+ *   goto X Y         - move to an absolute position (drawing when the pen is down); `goto X, Y` also accepted
+ *   setx X / sety Y  - move horizontally / vertically to an absolute coordinate
+ *   setheading DEG   - turn to an absolute heading
+ *   home             - return to the start position and heading
+ *   fill [4|8]       - flood-fill the region under the turtle with the current color (default 4-connected)
+ *   circle R / ellipse RX RY / arc R DEG [filled] - centred on the turtle, starting at its heading
+ *   rect W H / polygon SIDES LEN [filled]        - the turtle is a corner, the first side runs along its heading
  *   hsv h s v        - set HSV color; each param: offset (+n|-n), absolute (n), or '_' ignore
+ *   rgb r g b        - set the color from 0..255 channels (expressions; `rgb r, g, b` also accepted)
+ *   color #rrggbb | #rgb | name - set the color from a hex code or a name from color.js
+ *   palette NAME [snap] | palette off - choose a fixed palette from palettes.js; `snap` paints the nearest entry
+ *   ink N            - set the color to entry N (0-based) of the active palette
+ *   alpha A          - paint opacity 0..100 (100 = opaque)
+ *   layer NAME       - draw on layer NAME from here on (created on first use; the default layer is 'base')
+ *   blend normal|add|multiply|screen|erase - how painted cells combine with the cell's existing color
+ *   mirror x|y|xy [at X Y] | mirror off - also paint the mirror image of every cell (x: left/right, y: top/bottom)
+ *   radial N [at X Y] | radial off      - also paint N-1 rotated copies of every cell around the symmetry centre
+ *                     (the centre starts at the turtle's start position; `at` moves it for both statements)
+ *   seed N           - restart the random number generator with seed N (random, randint, chance, noise)
+ *   print a, b, ...  - write a line to the program output; arguments are "string" / 'string' literals or expressions
  *   repeat N:        - start an indented block repeated N times (ends when indentation decreases)
  *   repeat until EXPR: - loop while expression is false (check before each iteration)
  *   if EXPR:         - conditionally execute an indented block when expression is non-zero
+ *   elif EXPR: / else: - optional further branches directly after an if block (same indentation)
  *   break            - exit the nearest enclosing repeat loop
  *   continue         - skip to next iteration of nearest enclosing repeat loop
  *                     (Old { } block style removed in favor of Python-like indentation)
+ *   def name(a, b):  - define a procedure (top level only); body is the indented block below
+ *   stamp NAME:      - define a stamp: the indented block runs with the pen down but only records the cells it
+ *                     paints (relative to the turtle); the turtle is left where it was
+ *   stamp NAME [tint] - paint stamp NAME at the turtle, turned with its heading in 90° steps;
+ *                     `tint` recolors it with the current color
+ *   turtle NAME:     - hand the indented block to turtle NAME (spawned as a copy of the current turtle on first
+ *                     use; the program starts with turtle 'main'). Turtles run side by side, taking turns
+ *                     one movement at a time; not allowed inside def
+ *   name(a, b)       - call a procedure as a statement (also usable inside expressions)
+ *   return [EXPR]    - leave the current procedure, optionally yielding a value
  *   var name = value - declare/assign numeric variable (value can be number / variable / arithmetic expression)
  *   name = value      - re-assign existing variable
+ *   name[i] = value   - replace a list item (index expressions may be nested: grid[y][x] = 1)
+ *   for item in EXPR: - run the block once per item of a list (snapshot taken when the loop starts)
+ *   for i from A to B [step C]: - counter loop, B inclusive; step defaults to 1 (or -1 when A > B)
+ *   push(list, v)     - side-effecting built-ins (push, pop) may also be used as statements
  *   Simple arithmetic expressions allowed anywhere a single numeric argument is expected:
  *      +  -  *  /  parentheses and unary +/- (e.g. forward size*2, repeat (n+4)/2 { ... })
+ *      comparisons plus short-circuit logic: and, or, not (e.g. if x > 0 and not done:)
+ *      built-in functions from builtins.js, e.g. sin(a), max(a, b, c), clamp(v, 0, 10)
+ *      list literals and indexing: [3, 5, 8], sizes[i], len(sizes)
  *   Variables (identifiers) can be used where a single numeric argument is expected: forward x, left angle, repeat count, etc.
  *
  * Returns an array of instruction tokens rather than low-level lexical tokens to keep things practical.
  * Each token has a type field plus other fields:
  *   MOVE:  { type:'MOVE', direction:'forward'|'back', value:Number }
  *   TURN:  { type:'TURN', direction:'left'|'right', value:Number }
+ *   GOTO:  { type:'GOTO', x:Expr|null, y:Expr|null }  (null keeps that coordinate: setx / sety)
+ *   SETHEADING: { type:'SETHEADING', value:Expr }
+ *   HOME:  { type:'HOME' }
+ *   FILL:  { type:'FILL', connect:4|8 }
+ *   SHAPE: { type:'SHAPE', shape:'circle'|'ellipse'|'rect'|'arc'|'polygon', a:Expr, b:Expr|null, filled:Boolean }
  *   PEN:   { type:'PEN', state:'up'|'down' }
+ *   PENSIZE: { type:'PENSIZE', value:Expr }
+ *   BRUSH: { type:'BRUSH', shape:'square'|'round'|'diamond' }
  *   HSV:   { type:'HSV', h:HSVParam, s:HSVParam, v:HSVParam }
+ *   RGB:   { type:'RGB', r:Expr, g:Expr, b:Expr }
+ *   COLOR: { type:'COLOR', rgb:[r, g, b] }  (resolved while parsing)
+ *   PALETTE: { type:'PALETTE', name:String|null, snap:Boolean }
+ *   INK:   { type:'INK', value:Expr }
+ *   ALPHA: { type:'ALPHA', value:Expr }
+ *   LAYER: { type:'LAYER', name:String }
+ *   BLEND: { type:'BLEND', mode:'normal'|'add'|'multiply'|'screen'|'erase' }
+ *   MIRROR: { type:'MIRROR', axes:'x'|'y'|'xy'|null, at:{x:Expr, y:Expr}|null }
+ *   RADIAL: { type:'RADIAL', count:Expr|null, at:{x:Expr, y:Expr}|null }  (null count = off)
+ *   DEF:   { type:'DEF', name:String, params:String[], body:Token[] }
+ *   TURTLE: { type:'TURTLE', name:String, body:Token[] }
+ *   STAMPDEF: { type:'STAMPDEF', name:String, body:Token[] }
+ *   STAMP: { type:'STAMP', name:String, tint:Boolean }
+ *   CALL:  { type:'CALL', name:String, args:Expr[] }
+ *   RETURN:{ type:'RETURN', value:Expr|null }
+ *   SEED:  { type:'SEED', value:Expr }
+ *   SETINDEX: { type:'SETINDEX', target:Expr, index:Expr, value:Expr }
+ *   FOREACH:  { type:'FOREACH', name:String, list:Expr, body:Token[] }
+ *   FOR:   { type:'FOR', name:String, from:Expr, to:Expr, step:Expr|null, body:Token[] }
+ *   EVAL:  { type:'EVAL', value:Expr }  (statement use of push / pop)
+ *   PRINT: { type:'PRINT', args:(Expr|{str:String})[] }
+ * Every token also records its source span: line, col and endCol (1-based; endCol is just past the end of
+ * its line, or of the header line for blocks). Expression nodes ({ref} and the nodes inside {expr}) record
+ * theirs the same way, so runtime errors can point at the exact part of a line that failed.
  * HSVParam: { mode:'offset'|'absolute'|'ignore', value:Number|null }
  *
  * Throws an Error on invalid syntax with line / column information.
  */
 
+import { BUILTINS, isBuiltin, describeArity } from './builtins.js';
+import { parseColor, BLEND_MODES } from './color.js';
+import { PALETTES, isPalette } from './palettes.js';
+
 /** @typedef {{mode:'offset'|'absolute'|'ignore', value:number|null|{ref:string}}} HSVParam */
 
 /** Create an error with line/column context */
@@ -69,7 +143,7 @@ function parseHSVParam(raw) {
 /** Normalize identifier to canonical lower-case */
 function ident(s) { return s.toLowerCase(); }
 
-/** Split source into trimmed, comment-stripped logical lines */
+/** Split source into trimmed, comment-stripped logical lines (offset: characters of indentation) */
 function preprocessLines(source) {
 	const rawLines = source.replace(/\r\n?/g,'\n').split('\n');
 	return rawLines.map(line => {
@@ -81,14 +155,19 @@ function preprocessLines(source) {
 			break;
 		}
 		let content = line.slice(i);
-		// Strip comments (# or //) but ignore if inside expression (no string literals so fine)
-		const hash = content.indexOf('#');
-		const slashes = content.indexOf('//');
+		// Strip comments (# or //) unless they appear inside a "string" / 'string' literal
+		// or start the hex code of `color #rrggbb`
 		let cut = content.length;
-		if (hash !== -1) cut = Math.min(cut, hash);
-		if (slashes !== -1) cut = Math.min(cut, slashes);
+		let quote = null;
+		for (let k = 0; k < content.length; k++) {
+			const ch = content[k];
+			if (quote) { if (ch === quote) quote = null; continue; }
+			if (ch === '"' || ch === "'") { quote = ch; continue; }
+			if (ch === '#' && /^\s*color\s+$/i.test(content.slice(0, k))) continue;
+			if (ch === '#' || (ch === '/' && content[k + 1] === '/')) { cut = k; break; }
+		}
 		content = content.slice(0, cut).trimEnd();
-		return { indent, content: content.trimStart() };
+		return { indent, offset: i, content: content.trimStart() };
 	});
 }
 
@@ -112,18 +191,19 @@ function parseNumberOrRef(raw, line, col) {
 }
 
 // Expression tokenizer and parser (simple recursive descent)
+// Tokens keep their position in `str`: pos is the first character, end is just past the last.
 function tokenizeExpr(str) {
 	const tokens = []; let i=0;
 	while (i < str.length) {
 		const ch = str[i];
 		if (/\s/.test(ch)) { i++; continue; }
 		// Multi / single char operators (comparison + arithmetic incl. modulus)
-		if (/[()+\-*\/%<>!=]/.test(ch)) {
+		if (/[()[\],+\-*\/%<>!=]/.test(ch)) {
 			// attempt to read two-char comparison operators
 			const two = str.slice(i,i+2);
-			if (['==','!=','<=','>='].includes(two)) { tokens.push({ type:'op', value: two }); i+=2; continue; }
-			if (/[<>]/.test(ch)) { tokens.push({ type:'op', value: ch }); i++; continue; }
-			if (/[()+\-*\/%]/.test(ch)) { tokens.push({ type:'op', value: ch }); i++; continue; }
+			if (['==','!=','<=','>='].includes(two)) { tokens.push({ type:'op', value: two, pos: i, end: i + 2 }); i+=2; continue; }
+			if (/[<>]/.test(ch)) { tokens.push({ type:'op', value: ch, pos: i, end: i + 1 }); i++; continue; }
+			if (/[()[\],+\-*\/%]/.test(ch)) { tokens.push({ type:'op', value: ch, pos: i, end: i + 1 }); i++; continue; }
 			// lone ! or = not allowed in expressions
 			if (ch === '!' || ch === '=') throw new Error(`Unexpected '${ch}' in expression`);
 		}
@@ -131,12 +211,15 @@ function tokenizeExpr(str) {
 			let start=i; while (i<str.length && /[0-9._]/.test(str[i])) i++; // allow underscores ignored
 			const raw = str.slice(start,i).replace(/_/g,'');
 			if (raw === '' || raw === '.') throw new Error('Invalid number literal');
-			tokens.push({ type:'num', value: raw });
+			tokens.push({ type:'num', value: raw, pos: start, end: i });
 			continue;
 		}
 		if (/[a-zA-Z_]/.test(ch)) {
 			let start=i; while (i<str.length && /[a-zA-Z0-9_]/.test(str[i])) i++;
-			tokens.push({ type:'id', value: ident(str.slice(start,i)) });
+			const word = ident(str.slice(start,i));
+			// Logical operators are words
+			if (word === 'and' || word === 'or' || word === 'not') tokens.push({ type:'op', value: word, pos: start, end: i });
+			else tokens.push({ type:'id', value: word, pos: start, end: i });
 			continue;
 		}
 		throw new Error(`Unexpected character '${ch}' in expression`);
@@ -144,59 +227,223 @@ function tokenizeExpr(str) {
 	return tokens;
 }
 
-function parseExpressionString(str, line, col) {
+// `base` is the 0-based column where `str` starts on its source line; nodes record their span from it
+function parseExpressionString(str, line, col, base = col) {
+	const origin = base + str.length - str.trimStart().length;
 	str = str.trim();
 	if (!str) throw syntaxError('Empty expression', line, col);
 	// Fast path: single token number or identifier
-	if (/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(str)) return { ref: ident(str) };
+	if (/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(str)) return { ref: ident(str), line: line + 1, col: origin + 1, endCol: origin + str.length + 1 };
 	const numFast = Number(str); if (Number.isFinite(numFast)) return numFast;
 	let tokens;
 	try { tokens = tokenizeExpr(str); } catch (e) { throw syntaxError(e.message, line, col); }
 	let pos=0;
 	function peek(){ return tokens[pos]; }
 	function consume(){ return tokens[pos++]; }
+	// Source span of `node`: from token `first` to the last token consumed (1-based line and columns)
+	function span(node, first){
+		node.line = line + 1;
+		node.col = origin + first.pos + 1;
+		node.endCol = origin + tokens[pos - 1].end + 1;
+		return node;
+	}
 	function parsePrimary(){
 		const t = peek(); if(!t) throw syntaxError('Unexpected end of expression', line, col);
 		if (t.type==='op' && (t.value==='+'||t.value==='-')) { // unary
-			consume(); return { kind:'unary', op:t.value, value: parsePrimary() };
+			consume(); return span({ kind:'unary', op:t.value, value: parsePrimary() }, t);
+		}
+		let node = parseAtom();
+		// Postfix indexing: list[i], grid[y][x]
+		while (true) {
+			const t2 = peek();
+			if (!t2 || t2.type!=='op' || t2.value!=='[') break;
+			consume();
+			const index = parseOr();
+			const close = consume();
+			if (!close || close.type!=='op' || close.value!==']') throw syntaxError('Expected ]', line, col);
+			node = span({ kind:'index', target: node, index }, t);
+		}
+		return node;
+	}
+	function parseAtom(){
+		const t = peek(); if(!t) throw syntaxError('Unexpected end of expression', line, col);
+		if (t.type==='num'){ consume(); return span({ kind:'num', value: Number(t.value) }, t); }
+		if (t.type==='id'){
+			consume();
+			const next = peek();
+			if (next && next.type==='op' && next.value==='(') {
+				consume();
+				const args = parseArgs();
+				if (isBuiltin(t.value)) {
+					const b = BUILTINS[t.value];
+					if (args.length < b.min || args.length > b.max) throw syntaxError(`${t.value}() expects ${describeArity(b)}, got ${args.length}`, line, col);
+					return span({ kind:'builtin', name:t.value, args }, t);
+				}
+				return span({ kind:'call', name:t.value, args }, t);
+			}
+			return span({ kind:'var', name:t.value }, t);
 		}
-		if (t.type==='num'){ consume(); return { kind:'num', value: Number(t.value) }; }
-		if (t.type==='id'){ consume(); return { kind:'var', name:t.value }; }
 		if (t.type==='op' && t.value==='('){
 			consume();
-			// Allow full comparison-level expression inside parentheses so (a > b) works
-			const expr = parseComparison();
+			// Allow full logical expression inside parentheses so (a > b and c) works
+			const expr = parseOr();
 			const t2 = consume();
 			if(!t2||t2.type!=='op'||t2.value!==')') throw syntaxError('Expected )', line, col);
 			return expr;
 		}
+		if (t.type==='op' && t.value==='['){ // list literal
+			consume();
+			return span({ kind:'list', items: parseItems(']') }, t);
+		}
 		throw syntaxError(`Unexpected token in expression`, line, col);
 	}
+	// Comma separated expressions up to the closing bracket; opening bracket already consumed
+	function parseItems(close){
+		const items = [];
+		const first = peek();
+		if (first && first.type==='op' && first.value===close) { consume(); return items; }
+		while (true) {
+			items.push(parseOr());
+			const t = consume();
+			if (t && t.type==='op' && t.value===close) return items;
+			if (!t || t.type!=='op' || t.value!==',') throw syntaxError(`Expected ',' or '${close}'`, line, col);
+		}
+	}
+	function parseArgs(){ return parseItems(')'); }
 	function parseMulDiv(){
+		const first = peek();
 		let node = parsePrimary();
-		while (true){ const t=peek(); if(t && t.type==='op' && (t.value==='*'||t.value==='/'||t.value==='%')){ consume(); node={ kind:'bin', op:t.value, left:node, right:parsePrimary() }; } else break; }
+		while (true){ const t=peek(); if(t && t.type==='op' && (t.value==='*'||t.value==='/'||t.value==='%')){ consume(); node=span({ kind:'bin', op:t.value, left:node, right:parsePrimary() }, first); } else break; }
 		return node;
 	}
 	function parseAddSub(){
+		const first = peek();
 		let node = parseMulDiv();
-		while (true){ const t=peek(); if(t && t.type==='op' && (t.value==='+'||t.value==='-')){ consume(); node={ kind:'bin', op:t.value, left:node, right:parseMulDiv() }; } else break; }
+		while (true){ const t=peek(); if(t && t.type==='op' && (t.value==='+'||t.value==='-')){ consume(); node=span({ kind:'bin', op:t.value, left:node, right:parseMulDiv() }, first); } else break; }
 		return node;
 	}
 	function parseComparison(){
+		const first = peek();
 		let node = parseAddSub();
-		while (true){ const t=peek(); if(t && t.type==='op' && ['==','!=','<','>','<=','>='].includes(t.value)){ consume(); node={ kind:'bin', op:t.value, left:node, right:parseAddSub() }; } else break; }
+		while (true){ const t=peek(); if(t && t.type==='op' && ['==','!=','<','>','<=','>='].includes(t.value)){ consume(); node=span({ kind:'bin', op:t.value, left:node, right:parseAddSub() }, first); } else break; }
 		return node;
 	}
-		const ast = parseComparison();
-		if (pos !== tokens.length) {
-			const remaining = tokens.slice(pos).map(t=>t.value||t.type).join(' ');
-			throw syntaxError(`Unexpected extra tokens in expression: '${str}' -> leftover: ${remaining}`, line, col);
-		}
+	// Logical operators bind looser than comparisons: not > and > or (as in Python)
+	function parseNot(){
+		const t = peek();
+		if (t && t.type==='op' && t.value==='not') { consume(); return span({ kind:'not', value: parseNot() }, t); }
+		return parseComparison();
+	}
+	function parseAnd(){
+		const first = peek();
+		let node = parseNot();
+		while (true){ const t=peek(); if(t && t.type==='op' && t.value==='and'){ consume(); node=span({ kind:'logic', op:'and', left:node, right:parseNot() }, first); } else break; }
+		return node;
+	}
+	function parseOr(){
+		const first = peek();
+		let node = parseAnd();
+		while (true){ const t=peek(); if(t && t.type==='op' && t.value==='or'){ consume(); node=span({ kind:'logic', op:'or', left:node, right:parseAnd() }, first); } else break; }
+		return node;
+	}
+	const ast = parseOr();
+	if (pos !== tokens.length) {
+		const remaining = tokens.slice(pos).map(t=>t.value||t.type).join(' ');
+		throw syntaxError(`Unexpected extra tokens in expression: '${str}' -> leftover: ${remaining}`, line, col);
+	}
 	return { expr: ast };
 }
 
-function parseValueExpression(str, line, col) {
-	try { return parseExpressionString(str, line, col); } catch (e) { if (e.line) throw e; throw syntaxError(e.message, line, col); }
+function parseValueExpression(str, line, col, base = col) {
+	try { return parseExpressionString(str, line, col, base); } catch (e) { if (e.line) throw e; throw syntaxError(e.message, line, col); }
+}
+
+/** Visit every call node inside a parsed value (number, {ref}, {expr}) */
+function forEachCall(node, visit) {
+	if (!node || typeof node !== 'object') return;
+	if (node.expr) return forEachCall(node.expr, visit);
+	switch (node.kind) {
+		case 'call': visit(node); node.args.forEach(a => forEachCall(a, visit)); break;
+		case 'builtin': node.args.forEach(a => forEachCall(a, visit)); break;
+		case 'list': node.items.forEach(a => forEachCall(a, visit)); break;
+		case 'index': forEachCall(node.target, visit); forEachCall(node.index, visit); break;
+		case 'unary':
+		case 'not': forEachCall(node.value, visit); break;
+		case 'bin':
+		case 'logic': forEachCall(node.left, visit); forEachCall(node.right, visit); break;
+	}
+}
+
+// Statement keywords and the words inside statements (for ... from ... to ... step, mirror ... at,
+// palette ... snap / off, stamp ... tint): they cannot name variables, procedures, parameters, turtles or stamps
+const RESERVED = new Set(['forward','back','left','right','goto','setx','sety','setheading','home','fill','circle','ellipse','rect','arc','polygon','filled','pen','pensize','brush','seed','print','rgb','color','palette','snap','off','ink','alpha','blend','layer','mirror','radial','at','turtle','stamp','tint','hsv','repeat','until','if','elif','else','and','or','not','for','from','to','step','in','break','continue','var','def','return']);
+
+/** Split print arguments on top-level commas, keeping string literals intact */
+function splitPrintArgs(str, line, offset) {
+	const args = [];
+	let depth = 0, quote = null, start = 0;
+	for (let k = 0; k < str.length; k++) {
+		const ch = str[k];
+		if (quote) { if (ch === quote) quote = null; continue; }
+		if (ch === '"' || ch === "'") quote = ch;
+		else if (ch === '(' || ch === '[') depth++;
+		else if (ch === ')' || ch === ']') depth--;
+		else if (ch === ',' && depth === 0) { args.push({ raw: str.slice(start, k), col: start }); start = k + 1; }
+	}
+	if (quote) throw syntaxError('Unterminated string literal', line, offset + start);
+	args.push({ raw: str.slice(start), col: start });
+	return args;
+}
+
+/**
+ * Split the two arguments of `goto X Y`, `rect W H`, ... A top-level comma separates them explicitly;
+ * otherwise the first space where both sides parse as expressions wins (goto w - 1 h).
+ * @returns {{x:string, xCol:number, y:string, yCol:number}|null}
+ */
+function splitPair(str) {
+	let depth = 0;
+	const gaps = [];
+	for (let k = 0; k < str.length; k++) {
+		const ch = str[k];
+		if (ch === '[' || ch === '(') depth++;
+		else if (ch === ']' || ch === ')') depth--;
+		else if (depth === 0 && ch === ',') return { x: str.slice(0, k), xCol: 0, y: str.slice(k + 1), yCol: k + 1 };
+		else if (depth === 0 && /\s/.test(ch) && !/\s/.test(str[k - 1] || ' ')) gaps.push(k);
+	}
+	for (const k of gaps) {
+		const x = str.slice(0, k), y = str.slice(k);
+		if (!y.trim()) continue;
+		try { parseValueExpression(x, 0, 0); parseValueExpression(y, 0, 0); } catch (_) { continue; }
+		return { x, xCol: 0, y, yCol: k };
+	}
+	return null;
+}
+
+/** Index of the first comma at bracket depth 0 at or after `from`, or -1 */
+function findTopLevelComma(str, from = 0) {
+	let depth = 0;
+	for (let k = 0; k < str.length; k++) {
+		const ch = str[k];
+		if (ch === '[' || ch === '(') depth++;
+		else if (ch === ']' || ch === ')') depth--;
+		else if (ch === ',' && depth === 0 && k >= from) return k;
+	}
+	return -1;
+}
+
+/** Position of the assignment '=' in a statement (ignoring ==, !=, <=, >= and brackets), or -1 */
+function findAssign(content) {
+	let depth = 0;
+	for (let k = 0; k < content.length; k++) {
+		const ch = content[k];
+		if (ch === '[' || ch === '(') depth++;
+		else if (ch === ']' || ch === ')') depth--;
+		else if (ch === '=' && depth === 0) {
+			if (content[k + 1] === '=' || /[=!<>]/.test(content[k - 1] || '')) continue;
+			return k;
+		}
+	}
+	return -1;
 }
 
 /** Main parse function (formerly lex) */
@@ -204,6 +451,35 @@ export function parse(source) {
 	if (typeof source !== 'string') throw new TypeError('parse() requires a string');
 	const lines = preprocessLines(source);
 	let i = 0;
+	/** @type {Record<string, number>} procedure name -> parameter count */
+	const defs = Object.create(null);
+	/** @type {{name:string, argc:number, line:number}[]} */
+	const calls = [];
+	let defDepth = 0;
+	let stampDepth = 0;
+	// Whether break / continue have a loop to end a pass of (turtle blocks and stamp bodies run on their own)
+	let inLoop = false;
+
+	/** Source span of line `k`'s statement: 1-based line, and columns from its first character to just past its last */
+	function lineSpan(k) {
+		const { offset, content } = lines[k];
+		return { line: k + 1, col: offset + 1, endCol: offset + content.length + 1 };
+	}
+
+	// Parse an expression that starts at column `col` (0-based) of the statement on `line`, and remember its
+	// procedure calls for validation once all defs are known
+	function expr(str, line, col) {
+		const value = parseValueExpression(str, line, col, lines[line].offset + col);
+		forEachCall(value, c => calls.push({ name: c.name, argc: c.args.length, line }));
+		return value;
+	}
+
+	/** Parse the block of a loop (or, with loop false, of a turtle / stamp) */
+	function loopBody(indent, loop = true) {
+		const saved = inLoop;
+		inLoop = loop;
+		try { return parseBlock(indent); } finally { inLoop = saved; }
+	}
 
 	function parseBlock(parentIndent) {
 		/** @type {any[]} */
@@ -212,6 +488,7 @@ export function parse(source) {
 			const { indent, content } = lines[i];
 			if (!content) { i++; continue; }
 			if (indent <= parentIndent) break; // block ended
+			const where = lineSpan(i);
 			const parts = content.split(/\s+/);
 			let headRaw = ident(parts[0]);
 			headRaw = resolveAbbrev(headRaw);
@@ -220,67 +497,219 @@ export function parse(source) {
 				if (parts.length < 4 || parts[2] !== '=') throw syntaxError('Invalid var declaration. Use: var name = value', i, 0);
 				const name = ident(parts[1]);
 				if (!/^[a-z_][a-z0-9_]*$/i.test(name)) throw syntaxError(`Invalid variable name: ${parts[1]}`, i, 0);
-				const valueToken = parseValueExpression(content.slice(content.indexOf(parts[3])), i, 0);
-				out.push({ type: 'VAR', name, value: valueToken, reassign: false });
+				if (RESERVED.has(name)) throw syntaxError(`Cannot use reserved word '${name}' as a variable name`, i, 0);
+				// Slice after '=' (indexOf(parts[3]) would match inside 'var' for e.g. 'var b = a + 1')
+				const eqIndex = content.indexOf('=') + 1;
+				const valueToken = expr(content.slice(eqIndex), i, eqIndex);
+				out.push({ type: 'VAR', name, value: valueToken, reassign: false, ...where });
 				i++; continue;
 			}
 
 			if (/^[a-z_][a-z0-9_]*$/i.test(parts[0]) && parts.length >= 3 && parts[1] === '=') {
 				const name = ident(parts[0]);
 				const rhsIndex = content.indexOf('=') + 1;
-				const valueToken = parseValueExpression(content.slice(rhsIndex), i, rhsIndex);
-				out.push({ type: 'VAR', name, value: valueToken, reassign: true });
+				const valueToken = expr(content.slice(rhsIndex), i, rhsIndex);
+				out.push({ type: 'VAR', name, value: valueToken, reassign: true, ...where });
 				i++; continue;
 			}
 
+			// Index assignment: name[i] = value
+			if (/^[a-z_][a-z0-9_]*\s*\[/i.test(content)) {
+				const eq = findAssign(content);
+				if (eq !== -1) {
+					const target = expr(content.slice(0, eq), i, 0);
+					if (!target.expr || target.expr.kind !== 'index') throw syntaxError('Invalid assignment target', i, 0);
+					const value = expr(content.slice(eq + 1), i, eq + 1);
+					out.push({ type: 'SETINDEX', target: target.expr.target, index: target.expr.index, value, ...where });
+					i++; continue;
+				}
+			}
+
+			// for i from A to B [step C]:  ('for' alone still abbreviates forward)
+			const forRange = /^for\s+([a-z_][a-z0-9_]*)\s+from\s+(.+?)\s+to\s+(.+?)(?:\s+step\s+(.+))?:$/id.exec(content);
+			if (forRange) {
+				const name = ident(forRange[1]);
+				if (RESERVED.has(name)) throw syntaxError(`Cannot use reserved word '${name}' as a loop variable`, i, 0);
+				const [, , fromAt, toAt, stepAt] = forRange.indices;
+				const from = expr(forRange[2], i, fromAt[0]);
+				const to = expr(forRange[3], i, toAt[0]);
+				const step = forRange[4] !== undefined ? expr(forRange[4], i, stepAt[0]) : null;
+				i++;
+				const body = loopBody(indent);
+				out.push({ type: 'FOR', name, from, to, step, body, ...where });
+				continue;
+			}
+
+			// for item in list:
+			const forEach = /^for\s+([a-z_][a-z0-9_]*)\s+in\s+(.+):$/id.exec(content);
+			if (forEach) {
+				const name = ident(forEach[1]);
+				if (RESERVED.has(name)) throw syntaxError(`Cannot use reserved word '${name}' as a loop variable`, i, 0);
+				const list = expr(forEach[2], i, forEach.indices[2][0]);
+				i++;
+				const body = loopBody(indent);
+				out.push({ type: 'FOREACH', name, list, body, ...where });
+				continue;
+			}
+
 			if (headRaw === 'repeat') {
 				const colonPos = content.lastIndexOf(':');
 				if (colonPos === -1) throw syntaxError("Expected ':' after repeat", i, 0);
 				const bodyHeader = content.slice(0, colonPos); // without trailing ':'
 				// Match 'repeat until <expr>' (case-insensitive)
-				const untilMatch = /^repeat\s+until\s+(.+)$/i.exec(bodyHeader);
+				const untilMatch = /^repeat\s+until\s+(.+)$/id.exec(bodyHeader);
 				if (untilMatch) {
 					const exprStr = untilMatch[1].trim();
 					if (!exprStr) throw syntaxError('repeat until requires an expression', i, 0);
-					const untilExpr = parseValueExpression(exprStr, i, 0);
+					const untilExpr = expr(exprStr, i, untilMatch.indices[1][0]);
 					i++;
-					const body = parseBlock(indent);
-					out.push({ type:'REPEAT', mode:'until', until: untilExpr, count: null, body });
+					const body = loopBody(indent);
+					out.push({ type:'REPEAT', mode:'until', until: untilExpr, count: null, body, ...where });
 					continue;
 				}
 				// Else count form: extract expression after 'repeat'
-				const countMatch = /^repeat\s+(.+)$/i.exec(bodyHeader);
+				const countMatch = /^repeat\s+(.+)$/id.exec(bodyHeader);
 				if (!countMatch) throw syntaxError('Malformed repeat statement', i, 0);
 				const exprStr = countMatch[1].trim();
 				if (!exprStr) throw syntaxError('repeat requires a count', i, 0);
-				const countExpr = parseValueExpression(exprStr, i, 0);
+				const countExpr = expr(exprStr, i, countMatch.indices[1][0]);
 				i++;
-				const body = parseBlock(indent);
-				out.push({ type:'REPEAT', mode:'count', count: countExpr, until:null, body });
+				const body = loopBody(indent);
+				out.push({ type:'REPEAT', mode:'count', count: countExpr, until:null, body, ...where });
 				continue;
 			}
 
 			if (headRaw === 'if') {
 				const colonPos = content.lastIndexOf(':');
 				if (colonPos === -1) throw syntaxError("Expected ':' after if expression", i, 0);
-				const exprStr = content.slice(content.indexOf(parts[1]), colonPos).trim();
-				if (!exprStr) throw syntaxError('if requires an expression', i, 0);
-				const testExpr = parseValueExpression(exprStr, i, 0);
+				// Slice after the keyword (indexOf(parts[1]) would match inside 'if' for e.g. 'if i > 0:')
+				const exprStr = content.slice(parts[0].length, colonPos);
+				if (!exprStr.trim()) throw syntaxError('if requires an expression', i, 0);
+				const testExpr = expr(exprStr, i, parts[0].length);
 				i++;
 				const body = parseBlock(indent);
-				out.push({ type: 'IF', test: testExpr, body });
+				/** @type {any} */
+				let tail = { type: 'IF', test: testExpr, body, orelse: null, ...where };
+				out.push(tail);
+				// Attach elif / else clauses at the same indentation; elif nests as an IF inside orelse
+				while (true) {
+					let j = i;
+					while (j < lines.length && !lines[j].content) j++;
+					if (j >= lines.length || lines[j].indent !== indent) break;
+					const clause = lines[j].content;
+					const word = /^(elif|else)\b/i.exec(clause);
+					if (!word) break;
+					i = j;
+					if (ident(word[1]) === 'else') {
+						if (!/^else\s*:$/i.test(clause)) throw syntaxError("Expected ':' after else", i, 0);
+						i++;
+						tail.orelse = parseBlock(indent);
+						break;
+					}
+					const elifColon = clause.lastIndexOf(':');
+					if (elifColon === -1) throw syntaxError("Expected ':' after elif expression", i, 0);
+					const elifStr = clause.slice(4, elifColon);
+					if (!elifStr.trim()) throw syntaxError('elif requires an expression', i, 0);
+					const elifNode = { type: 'IF', test: expr(elifStr, i, 4), body: null, orelse: null, ...lineSpan(i) };
+					i++;
+					elifNode.body = parseBlock(indent);
+					tail.orelse = [elifNode];
+					tail = elifNode;
+				}
 				continue;
 			}
 
+			const orphan = /^(elif|else)\b/i.exec(content);
+			if (orphan) throw syntaxError(`'${ident(orphan[1])}' without a matching if`, i, 0);
+
+			if (headRaw === 'def') {
+				if (parentIndent !== -1) throw syntaxError('def is only allowed at the top level', i, 0);
+				const m = /^def\s+([a-z_][a-z0-9_]*)\s*\(([^)]*)\)\s*:$/i.exec(content);
+				if (!m) throw syntaxError('Invalid def. Use: def name(a, b):', i, 0);
+				const name = ident(m[1]);
+				if (RESERVED.has(name)) throw syntaxError(`Cannot use reserved word '${name}' as a procedure name`, i, 0);
+				if (isBuiltin(name)) throw syntaxError(`Cannot redefine built-in function '${name}'`, i, 0);
+				if (name in defs) throw syntaxError(`Procedure '${name}' is already defined`, i, 0);
+				const params = m[2].trim() ? m[2].split(',').map(p => ident(p.trim())) : [];
+				for (const p of params) {
+					if (!/^[a-z_][a-z0-9_]*$/.test(p)) throw syntaxError(`Invalid parameter name: ${p}`, i, 0);
+					if (RESERVED.has(p)) throw syntaxError(`Cannot use reserved word '${p}' as a parameter`, i, 0);
+				}
+				if (new Set(params).size !== params.length) throw syntaxError(`Duplicate parameter in '${name}'`, i, 0);
+				defs[name] = params.length;
+				i++;
+				defDepth++;
+				const body = parseBlock(indent);
+				defDepth--;
+				out.push({ type: 'DEF', name, params, body, ...where });
+				continue;
+			}
+
+			if (headRaw === 'turtle') {
+				if (defDepth) throw syntaxError('turtle blocks are not allowed inside def', i, 0);
+				if (stampDepth) throw syntaxError('turtle blocks are not allowed inside a stamp definition', i, 0);
+				const m = /^turtle\s+([a-z_][a-z0-9_]*)\s*:$/i.exec(content);
+				if (!m) throw syntaxError('Invalid turtle block. Use: turtle name:', i, 0);
+				const name = ident(m[1]);
+				if (RESERVED.has(name)) throw syntaxError(`Cannot use reserved word '${name}' as a turtle name`, i, 0);
+				i++;
+				const body = loopBody(indent, false);
+				out.push({ type: 'TURTLE', name, body, ...where });
+				continue;
+			}
+
+			if (headRaw === 'stamp') {
+				const m = /^stamp\s+([a-z_][a-z0-9_]*)(?:\s+(tint))?\s*(:)?$/i.exec(content);
+				if (!m || (m[2] && m[3])) throw syntaxError('Invalid stamp. Use: stamp name: (define) or stamp name [tint]', i, 0);
+				const name = ident(m[1]);
+				if (RESERVED.has(name)) throw syntaxError(`Cannot use reserved word '${name}' as a stamp name`, i, 0);
+				if (!m[3]) {
+					out.push({ type: 'STAMP', name, tint: !!m[2], ...where });
+					i++; continue;
+				}
+				if (stampDepth) throw syntaxError('stamp definitions cannot be nested', i, 0);
+				i++;
+				stampDepth++;
+				const body = loopBody(indent, false);
+				stampDepth--;
+				out.push({ type: 'STAMPDEF', name, body, ...where });
+				continue;
+			}
+
+			if (headRaw === 'return') {
+				if (!defDepth) throw syntaxError('return outside of def', i, 0);
+				if (stampDepth) throw syntaxError('return cannot be used inside a stamp definition', i, 0);
+				const rest = content.slice(parts[0].length);
+				const value = rest.trim() ? expr(rest, i, parts[0].length) : null;
+				out.push({ type: 'RETURN', value, ...where });
+				i++; continue;
+			}
+
+			// Procedure call statement: name(args) with no space before '('
+			const callMatch = /^([a-z_][a-z0-9_]*)\(/i.exec(content);
+			if (callMatch && !RESERVED.has(ident(callMatch[1]))) {
+				const value = expr(content, i, 0);
+				if (value.expr && value.expr.kind === 'builtin') {
+					if (!BUILTINS[value.expr.name].effect) throw syntaxError(`Built-in function '${value.expr.name}' cannot be used as a statement`, i, 0);
+					out.push({ type: 'EVAL', value, ...where });
+					i++; continue;
+				}
+				if (!value.expr || value.expr.kind !== 'call') throw syntaxError('Expected a procedure call', i, 0);
+				out.push({ type: 'CALL', name: value.expr.name, args: value.expr.args, ...where });
+				i++; continue;
+			}
+
 			if (headRaw === 'break') {
 				if (parts.length !== 1) throw syntaxError('break takes no arguments', i, 0);
-				out.push({ type: 'BREAK' });
+				if (!inLoop) throw syntaxError('break outside of a loop', i, 0);
+				out.push({ type: 'BREAK', ...where });
 				i++; continue;
 			}
 
 			if (headRaw === 'continue') {
 				if (parts.length !== 1) throw syntaxError('continue takes no arguments', i, 0);
-				out.push({ type: 'CONTINUE' });
+				if (!inLoop) throw syntaxError('continue outside of a loop', i, 0);
+				out.push({ type: 'CONTINUE', ...where });
 				i++; continue;
 			}
 
@@ -291,8 +720,8 @@ export function parse(source) {
 						// Avoid using indexOf(parts[1]) because argument's first character may appear in command (e.g. forward w)
 						let argStart = content.indexOf(parts[0]) + parts[0].length;
 						while (argStart < content.length && /\s/.test(content[argStart])) argStart++;
-						const value = parseValueExpression(content.slice(argStart), i, argStart);
-					out.push({ type: 'MOVE', direction: headRaw, value });
+						const value = expr(content.slice(argStart), i, argStart);
+					out.push({ type: 'MOVE', direction: headRaw, value, ...where });
 					i++; break;
 				}
 				case 'left':
@@ -300,15 +729,191 @@ export function parse(source) {
 						if (parts.length < 2) throw syntaxError(`${headRaw} requires 1 argument`, i, 0);
 						let argStart = content.indexOf(parts[0]) + parts[0].length;
 						while (argStart < content.length && /\s/.test(content[argStart])) argStart++;
-						const value = parseValueExpression(content.slice(argStart), i, argStart);
-					out.push({ type: 'TURN', direction: headRaw, value });
+						const value = expr(content.slice(argStart), i, argStart);
+					out.push({ type: 'TURN', direction: headRaw, value, ...where });
+					i++; break;
+				}
+				case 'goto': {
+					const argStart = parts[0].length;
+					const pair = parts.length < 3 ? null : splitPair(content.slice(argStart));
+					if (!pair) throw syntaxError('goto requires 2 arguments: x y', i, 0);
+					const x = expr(pair.x, i, argStart + pair.xCol);
+					const y = expr(pair.y, i, argStart + pair.yCol);
+					out.push({ type: 'GOTO', x, y, ...where });
+					i++; break;
+				}
+				case 'setx':
+				case 'sety':
+				case 'setheading': {
+					if (parts.length < 2) throw syntaxError(`${headRaw} requires 1 argument`, i, 0);
+					const value = expr(content.slice(parts[0].length), i, parts[0].length);
+					if (headRaw === 'setheading') out.push({ type: 'SETHEADING', value, ...where });
+					else out.push({ type: 'GOTO', x: headRaw === 'setx' ? value : null, y: headRaw === 'sety' ? value : null, ...where });
+					i++; break;
+				}
+				case 'home': {
+					if (parts.length !== 1) throw syntaxError('home takes no arguments', i, 0);
+					out.push({ type: 'HOME', ...where });
+					i++; break;
+				}
+				case 'circle':
+				case 'ellipse':
+				case 'rect':
+				case 'arc':
+				case 'polygon': {
+					const usage = {
+						circle: 'circle R', ellipse: 'ellipse RX RY', rect: 'rect W H', arc: 'arc R DEG', polygon: 'polygon SIDES LEN'
+					}[headRaw];
+					const argStart = parts[0].length;
+					let rest = content.slice(argStart);
+					const filledMatch = /\s+filled$/i.exec(rest);
+					if (filledMatch) rest = rest.slice(0, filledMatch.index);
+					let a, b = null;
+					if (headRaw === 'circle') {
+						if (!rest.trim()) throw syntaxError(`Expected: ${usage} [filled]`, i, 0);
+						a = expr(rest, i, argStart);
+					} else {
+						const pair = rest.trim() ? splitPair(rest) : null;
+						if (!pair) throw syntaxError(`Expected: ${usage} [filled]`, i, 0);
+						a = expr(pair.x, i, argStart + pair.xCol);
+						b = expr(pair.y, i, argStart + pair.yCol);
+					}
+					out.push({ type: 'SHAPE', shape: headRaw, a, b, filled: !!filledMatch, ...where });
+					i++; break;
+				}
+				case 'fill': {
+					if (parts.length > 2 || (parts.length === 2 && parts[1] !== '4' && parts[1] !== '8')) {
+						throw syntaxError('fill takes an optional connectivity: 4 or 8', i, 0);
+					}
+					out.push({ type: 'FILL', connect: parts.length === 2 ? Number(parts[1]) : 4, ...where });
+					i++; break;
+				}
+				case 'pensize': {
+					if (parts.length < 2) throw syntaxError('pensize requires 1 argument', i, 0);
+					const value = expr(content.slice(parts[0].length), i, parts[0].length);
+					out.push({ type: 'PENSIZE', value, ...where });
+					i++; break;
+				}
+				case 'brush': {
+					const shape = parts.length === 2 ? ident(parts[1]) : '';
+					if (!['square', 'round', 'diamond'].includes(shape)) throw syntaxError('brush requires one argument: square|round|diamond', i, 0);
+					out.push({ type: 'BRUSH', shape, ...where });
 					i++; break;
 				}
 				case 'pen': {
 					if (parts.length !== 2) throw syntaxError('pen requires one argument: up|down', i, 0);
 					const state = ident(parts[1]);
 					if (state !== 'up' && state !== 'down') throw syntaxError('Invalid pen state', i, 0);
-					out.push({ type: 'PEN', state });
+					out.push({ type: 'PEN', state, ...where });
+					i++; break;
+				}
+				case 'seed': {
+					if (parts.length < 2) throw syntaxError('seed requires 1 argument', i, 0);
+					const value = expr(content.slice(parts[0].length), i, parts[0].length);
+					out.push({ type: 'SEED', value, ...where });
+					i++; break;
+				}
+				case 'print': {
+					const argStart = parts[0].length;
+					const rest = content.slice(argStart);
+					const args = !rest.trim() ? [] : splitPrintArgs(rest, i, argStart).map(({ raw, col }) => {
+						const text = raw.trim();
+						const lit = /^"([^"]*)"$/.exec(text) || /^'([^']*)'$/.exec(text);
+						if (lit) return { str: lit[1] };
+						if (/["']/.test(text)) throw syntaxError('A string must be a whole print argument (separate parts with commas)', i, argStart + col);
+						return expr(raw, i, argStart + col);
+					});
+					out.push({ type: 'PRINT', args, ...where });
+					i++; break;
+				}
+				case 'rgb': {
+					const argStart = parts[0].length;
+					const rest = content.slice(argStart);
+					// Commas separate the channels when present, otherwise each channel is one word
+					const pieces = [];
+					if (findTopLevelComma(rest) !== -1) {
+						let from = 0;
+						for (let at = findTopLevelComma(rest); at !== -1; at = findTopLevelComma(rest, from)) {
+							pieces.push({ text: rest.slice(from, at), col: from });
+							from = at + 1;
+						}
+						pieces.push({ text: rest.slice(from), col: from });
+					} else {
+						const re = /\S+/g;
+						for (let m; (m = re.exec(rest));) pieces.push({ text: m[0], col: m.index });
+					}
+					if (pieces.length !== 3 || pieces.some(p => !p.text.trim())) throw syntaxError('rgb requires 3 params: r g b', i, 0);
+					const [r, g, b] = pieces.map(p => expr(p.text, i, argStart + p.col));
+					out.push({ type: 'RGB', r, g, b, ...where });
+					i++; break;
+				}
+				case 'color': {
+					const rgb = parts.length === 2 ? parseColor(parts[1]) : null;
+					if (!rgb) throw syntaxError('color requires a hex code (#ff8800 or #f80) or a color name', i, 0);
+					out.push({ type: 'COLOR', rgb, ...where });
+					i++; break;
+				}
+				case 'palette': {
+					const name = parts.length >= 2 ? ident(parts[1]) : '';
+					const snap = parts.length === 3 && ident(parts[2]) === 'snap';
+					if (name === 'off' && parts.length === 2) {
+						out.push({ type: 'PALETTE', name: null, snap: false, ...where });
+					} else if (!isPalette(name) || (parts.length === 3 && !snap) || parts.length > 3) {
+						throw syntaxError(`palette requires a name (${Object.keys(PALETTES).join(', ')}) with optional snap, or off`, i, 0);
+					} else {
+						out.push({ type: 'PALETTE', name, snap, ...where });
+					}
+					i++; break;
+				}
+				case 'ink': {
+					if (parts.length < 2) throw syntaxError('ink requires 1 argument', i, 0);
+					const value = expr(content.slice(parts[0].length), i, parts[0].length);
+					out.push({ type: 'INK', value, ...where });
+					i++; break;
+				}
+				case 'layer': {
+					if (parts.length !== 2 || !/^[a-z_][a-z0-9_-]*$/i.test(parts[1])) {
+						throw syntaxError('layer requires a name (letters, digits, _ or -)', i, 0);
+					}
+					out.push({ type: 'LAYER', name: ident(parts[1]), ...where });
+					i++; break;
+				}
+				case 'mirror':
+				case 'radial': {
+					const argStart = parts[0].length;
+					const rest = content.slice(argStart);
+					// Optional trailing `at X Y` sets the symmetry centre
+					const atMatch = /\sat\s/i.exec(rest);
+					const arg = (atMatch ? rest.slice(0, atMatch.index) : rest).trim();
+					let at = null;
+					if (atMatch) {
+						const atStart = atMatch.index + atMatch[0].length;
+						const pair = splitPair(rest.slice(atStart));
+						if (!pair) throw syntaxError(`${headRaw} ... at requires 2 arguments: x y`, i, argStart + atMatch.index);
+						at = { x: expr(pair.x, i, argStart + atStart + pair.xCol), y: expr(pair.y, i, argStart + atStart + pair.yCol) };
+					}
+					if (ident(arg) === 'off' && !at) {
+						out.push(headRaw === 'mirror' ? { type: 'MIRROR', axes: null, at: null, ...where } : { type: 'RADIAL', count: null, at: null, ...where });
+					} else if (headRaw === 'mirror') {
+						const axes = ident(arg);
+						if (!['x', 'y', 'xy', 'yx'].includes(axes)) throw syntaxError('mirror requires x, y or xy (optionally followed by: at X Y), or off', i, 0);
+						out.push({ type: 'MIRROR', axes: axes === 'yx' ? 'xy' : axes, at, ...where });
+					} else {
+						if (!arg) throw syntaxError('radial requires a number of copies (optionally followed by: at X Y), or off', i, 0);
+						out.push({ type: 'RADIAL', count: expr(arg, i, argStart + rest.indexOf(arg)), at, ...where });
+					}
+					i++; break;
+				}
+				case 'alpha': {
+					if (parts.length < 2) throw syntaxError('alpha requires 1 argument', i, 0);
+					const value = expr(content.slice(parts[0].length), i, parts[0].length);
+					out.push({ type: 'ALPHA', value, ...where });
+					i++; break;
+				}
+				case 'blend': {
+					const mode = parts.length === 2 ? ident(parts[1]) : '';
+					if (!BLEND_MODES.includes(mode)) throw syntaxError(`blend requires one argument: ${BLEND_MODES.join('|')}`, i, 0);
+					out.push({ type: 'BLEND', mode, ...where });
 					i++; break;
 				}
 				case 'hsv': {
@@ -317,7 +922,7 @@ export function parse(source) {
 						const h = parseHSVParam(parts[1]);
 						const s = parseHSVParam(parts[2]);
 						const v = parseHSVParam(parts[3]);
-						out.push({ type: 'HSV', h, s, v });
+						out.push({ type: 'HSV', h, s, v, ...where });
 					} catch (e) {
 						throw syntaxError(e.message, i, 0);
 					}
@@ -330,7 +935,15 @@ export function parse(source) {
 		return out;
 	}
 
-	return parseBlock(-1);
+	const program = parseBlock(-1);
+	for (const c of calls) {
+		if (!(c.name in defs)) throw syntaxError(`Unknown procedure '${c.name}'`, c.line, 0);
+		if (defs[c.name] !== c.argc) {
+			const n = defs[c.name];
+			throw syntaxError(`Procedure '${c.name}' expects ${n} argument${n === 1 ? '' : 's'}, got ${c.argc}`, c.line, 0);
+		}
+	}
+	return program;
 }
 
 // Backwards compatibility shim
@@ -0,0 +1,74 @@
+// Fixed pixel-art palettes for `palette NAME` / `ink N`, plus nearest-color snapping and
+// palette file formats (.hex as used by Lospec, .gpl for GIMP / Aseprite).
+
+/** @typedef {{ name:string, colors:[number, number, number][] }} Palette */
+
+const fromHex = list => list.map(hex => [0, 2, 4].map(k => parseInt(hex.slice(k, k + 2), 16)));
+
+/** @type {Record<string, Palette>} keyed by the name used in scripts */
+export const PALETTES = {
+    pico8: {
+        name: 'PICO-8',
+        colors: fromHex([
+            '000000', '1d2b53', '7e2553', '008751', 'ab5236', '5f574f', 'c2c3c7', 'fff1e8',
+            'ff004d', 'ffa300', 'ffec27', '00e436', '29adff', '83769c', 'ff77a8', 'ffccaa'
+        ])
+    },
+    // 2C02 colors without the repeated blacks
+    nes: {
+        name: 'NES',
+        colors: fromHex([
+            '7c7c7c', '0000fc', '0000bc', '4428bc', '940084', 'a80020', 'a81000', '881400',
+            '503000', '007800', '006800', '005800', '004058', '000000',
+            'bcbcbc', '0078f8', '0058f8', '6844fc', 'd800cc', 'e40058', 'f83800', 'e45c10',
+            'ac7c00', '00b800', '00a800', '00a844', '008888',
+            'f8f8f8', '3cbcfc', '6888fc', '9878f8', 'f878f8', 'f85898', 'f87858', 'fca044',
+            'f8b800', 'b8f818', '58d854', '58f898', '00e8d8', '787878',
+            'fcfcfc', 'a4e4fc', 'b8b8f8', 'd8b8f8', 'f8b8f8', 'f8a4c0', 'f0d0b0', 'fce0a8',
+            'f8d878', 'd8f878', 'b8f8b8', 'b8f8d8', '00fcfc', 'f8d8f8'
+        ])
+    },
+    // Original DMG greens, darkest first
+    gameboy: {
+        name: 'Game Boy',
+        colors: fromHex(['0f380f', '306230', '8bac0f', '9bbc0f'])
+    },
+    db32: {
+        name: 'DawnBringer 32',
+        colors: fromHex([
+            '000000', '222034', '45283c', '663931', '8f563b', 'df7126', 'd9a066', 'eec39a',
+            'fbf236', '99e550', '6abe30', '37946e', '4b692f', '524b24', '323c39', '3f3f74',
+            '306082', '5b6ee1', '639bff', '5fcde4', 'cbdbfc', 'ffffff', '9badb7', '847e87',
+            '696a6a', '595652', '76428a', 'ac3232', 'd95763', 'd77bba', '8f974a', '8a6f30'
+        ])
+    }
+};
+
+/** Is `name` a known palette key? */
+export function isPalette(name) {
+    return Object.prototype.hasOwnProperty.call(PALETTES, name);
+}
+
+/** Index of the palette entry closest to `rgb` (squared RGB distance; exact matches win) */
+export function nearestIndex(palette, [r, g, b]) {
+    let best = 0, bestDist = Infinity;
+    palette.colors.forEach(([pr, pg, pb], k) => {
+        const d = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+        if (d < bestDist) { best = k; bestDist = d; }
+    });
+    return best;
+}
+
+/** Lospec-style .hex file: one rrggbb per line */
+export function toHexFile(palette) {
+    return palette.colors.map(c => c.map(v => v.toString(16).padStart(2, '0')).join('')).join('\n') + '\n';
+}
+
+/** GIMP palette (.gpl) */
+export function toGpl(palette) {
+    const lines = ['GIMP Palette', `Name: ${palette.name}`, 'Columns: 8', '#'];
+    palette.colors.forEach(([r, g, b], k) => {
+        lines.push(`${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\tIndex ${k}`);
+    });
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,48 @@
+// Deterministic randomness for Turtle Script.
+// A seeded PRNG (mulberry32) drives random()/randint()/chance(); noise() is a seeded,
+// hash-based 2D value noise that does not consume PRNG state.
+
+/** Normalize any finite number to an unsigned 32-bit seed */
+export function toSeed(n) { return Math.floor(n) >>> 0; }
+
+/** Pick a fresh seed when the caller did not provide one */
+export function randomSeed() { return Math.floor(Math.random() * 4294967296) >>> 0; }
+
+// Integer hash of a lattice point mixed with the seed -> 0..1
+function hash2(ix, iy, seed) {
+    let h = Math.imul(ix | 0, 0x27d4eb2d) ^ Math.imul(iy | 0, 0x165667b1) ^ seed;
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+const smooth = t => t * t * (3 - 2 * t);
+
+/** Create a random source for one seed.
+ * @param {number} seed
+ */
+export function createRandom(seed) {
+    let state = toSeed(seed);
+    const noiseSeed = toSeed(seed) ^ 0x9e3779b9;
+
+    /** Next float in [0, 1) (mulberry32) */
+    function next() {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /** Smooth 2D value noise in [0, 1); integer coordinates land on lattice points */
+    function noise(x, y) {
+        const ix = Math.floor(x), iy = Math.floor(y);
+        const fx = smooth(x - ix), fy = smooth(y - iy);
+        const a = hash2(ix, iy, noiseSeed), b = hash2(ix + 1, iy, noiseSeed);
+        const c = hash2(ix, iy + 1, noiseSeed), d = hash2(ix + 1, iy + 1, noiseSeed);
+        const top = a + (b - a) * fx;
+        const bottom = c + (d - c) * fx;
+        return top + (bottom - top) * fy;
+    }
+
+    return { seed: toSeed(seed), next, noise };
+}
@@ -0,0 +1,213 @@
+// Integer rasterizers for lines and the shape commands (circle, ellipse, rect, arc, polygon).
+// Shapes return their cells as [x, y] pairs without duplicates, ordered by row then column,
+// so every engine plots them in the same order.
+
+const DEG = Math.PI / 180;
+
+// Cell keys: a small integer while both coordinates are within ±2^14 (fast to hash, no allocation),
+// the string "x,y" beyond that so the plane stays unbounded
+const KEY_OFFSET = 2 ** 14, KEY_SPAN = 2 ** 15;
+
+/** Map / Set key of the integer cell (x, y) */
+export function cellKey(x, y) {
+    return x >= -KEY_OFFSET && x < KEY_OFFSET && y >= -KEY_OFFSET && y < KEY_OFFSET
+        ? (x + KEY_OFFSET) * KEY_SPAN + y + KEY_OFFSET
+        : `${x},${y}`;
+}
+
+/** Cell [x, y] of a key made by cellKey() */
+export function keyCell(key) {
+    if (typeof key === 'string') return key.split(',').map(Number);
+    return [Math.floor(key / KEY_SPAN) - KEY_OFFSET, key % KEY_SPAN - KEY_OFFSET];
+}
+
+/** Rasterize a line from (x0,y0) to (x1,y1) visiting integer cell coordinates. Uses Bresenham. */
+export function rasterLine(x0, y0, x1, y1, visit) {
+    x0 = Math.round(x0); y0 = Math.round(y0);
+    x1 = Math.round(x1); y1 = Math.round(y1);
+    let dx = Math.abs(x1 - x0), sx = x0 < x1 ? 1 : -1;
+    let dy = -Math.abs(y1 - y0), sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+    while (true) {
+        visit(x0, y0);
+        if (x0 === x1 && y0 === y1) break;
+        const e2 = 2 * err;
+        if (e2 >= dy) { err += dy; x0 += sx; }
+        if (e2 <= dx) { err += dx; y0 += sy; }
+    }
+}
+
+// Collects unique cells; `span` adds a horizontal run
+function cellSet() {
+    const map = new Map();
+    return {
+        add(x, y) { map.set(cellKey(x, y), [x, y]); },
+        span(x0, x1, y) { for (let x = x0; x <= x1; x++) map.set(cellKey(x, y), [x, y]); },
+        has(x, y) { return map.has(cellKey(x, y)); },
+        list() { return [...map.values()].sort((a, b) => a[1] - b[1] || a[0] - b[0]); }
+    };
+}
+
+// Heading-relative angle of the offset (dx, dy) in degrees 0..360 (same convention as the turtle)
+const angleOf = (dx, dy) => ((Math.atan2(dy, dx) / DEG) % 360 + 360) % 360;
+
+/** Midpoint circle of radius r around (cx, cy); `filled` adds the interior spans */
+export function circleCells(cx, cy, r, filled) {
+    const cells = cellSet();
+    let x = r, y = 0, err = 1 - r;
+    while (x >= y) {
+        if (filled) {
+            cells.span(cx - x, cx + x, cy + y); cells.span(cx - x, cx + x, cy - y);
+            cells.span(cx - y, cx + y, cy + x); cells.span(cx - y, cx + y, cy - x);
+        } else {
+            for (const [px, py] of [[x, y], [y, x], [-y, x], [-x, y], [-x, -y], [-y, -x], [y, -x], [x, -y]]) {
+                cells.add(cx + px, cy + py);
+            }
+        }
+        y++;
+        if (err < 0) err += 2 * y + 1;
+        else { x--; err += 2 * (y - x) + 1; }
+    }
+    return cells.list();
+}
+
+/** Axis-aligned midpoint ellipse with radii rx (horizontal) and ry (vertical) */
+function midpointEllipse(cx, cy, rx, ry, filled) {
+    const cells = cellSet();
+    const plot = (x, y) => {
+        if (filled) { cells.span(cx - x, cx + x, cy + y); cells.span(cx - x, cx + x, cy - y); }
+        else { cells.add(cx + x, cy + y); cells.add(cx - x, cy + y); cells.add(cx + x, cy - y); cells.add(cx - x, cy - y); }
+    };
+    if (rx === 0 || ry === 0) {
+        for (let y = 0; y <= ry; y++) plot(rx, y);
+        for (let x = 0; x <= rx; x++) plot(x, ry);
+        return cells.list();
+    }
+    const rx2 = rx * rx, ry2 = ry * ry;
+    let x = 0, y = ry;
+    let px = 0, py = 2 * rx2 * y;
+    // Region 1: slope above -1
+    let p = ry2 - rx2 * ry + 0.25 * rx2;
+    while (px < py) {
+        plot(x, y);
+        x++; px += 2 * ry2;
+        if (p < 0) p += ry2 + px;
+        else { y--; py -= 2 * rx2; p += ry2 + px - py; }
+    }
+    // Region 2: slope below -1
+    p = ry2 * (x + 0.5) * (x + 0.5) + rx2 * (y - 1) * (y - 1) - rx2 * ry2;
+    while (y >= 0) {
+        plot(x, y);
+        y--; py -= 2 * rx2;
+        if (p > 0) p += rx2 - py;
+        else { x++; px += 2 * ry2; p += rx2 - py + px; }
+    }
+    return cells.list();
+}
+
+/**
+ * Ellipse around (cx, cy) with radius rx along `heading` and ry across it.
+ * Headings on the axes use the midpoint algorithm; other headings test each cell against the
+ * rotated ellipse and keep the boundary (cells with an outside neighbour) unless filled.
+ */
+export function ellipseCells(cx, cy, rx, ry, heading, filled) {
+    const turn = ((heading % 180) + 180) % 180;
+    if (Math.abs(turn) < 1e-9 || Math.abs(turn - 180) < 1e-9) return midpointEllipse(cx, cy, rx, ry, filled);
+    if (Math.abs(turn - 90) < 1e-9) return midpointEllipse(cx, cy, ry, rx, filled);
+    const cos = Math.cos(heading * DEG), sin = Math.sin(heading * DEG);
+    const ax = rx + 0.5, ay = ry + 0.5;
+    const inside = (dx, dy) => {
+        const u = (dx * cos + dy * sin) / ax, v = (dy * cos - dx * sin) / ay;
+        return u * u + v * v <= 1;
+    };
+    const cells = cellSet();
+    const reach = Math.max(rx, ry) + 1;
+    for (let dy = -reach; dy <= reach; dy++) {
+        for (let dx = -reach; dx <= reach; dx++) {
+            if (!inside(dx, dy)) continue;
+            if (filled || !inside(dx + 1, dy) || !inside(dx - 1, dy) || !inside(dx, dy + 1) || !inside(dx, dy - 1)) {
+                cells.add(cx + dx, cy + dy);
+            }
+        }
+    }
+    return cells.list();
+}
+
+/**
+ * Arc of radius r around (cx, cy) starting at `heading` and sweeping `sweep` degrees clockwise
+ * (negative sweeps run counter-clockwise). Filled arcs are pie slices that include the centre.
+ */
+export function arcCells(cx, cy, r, heading, sweep, filled) {
+    const full = circleCells(cx, cy, r, filled);
+    if (Math.abs(sweep) >= 360) return full;
+    const eps = 1e-9;
+    const within = (x, y) => {
+        if (x === cx && y === cy) return filled;
+        const a = angleOf(x - cx, y - cy);
+        const rel = sweep >= 0 ? ((a - heading) % 360 + 360) % 360 : ((heading - a) % 360 + 360) % 360;
+        return rel <= Math.abs(sweep) + eps || rel >= 360 - eps;
+    };
+    return full.filter(([x, y]) => within(x, y));
+}
+
+/** Outline (and optionally interior) of the polygon through `points` ([x, y] floats, closed) */
+export function polygonCells(points, filled) {
+    const cells = cellSet();
+    for (let k = 0; k < points.length; k++) {
+        const [x0, y0] = points[k], [x1, y1] = points[(k + 1) % points.length];
+        rasterLine(x0, y0, x1, y1, (x, y) => cells.add(x, y));
+    }
+    if (filled) {
+        // Even-odd scanline fill through cell centres
+        const ys = points.map(p => p[1]);
+        const top = Math.ceil(Math.min(...ys)), bottom = Math.floor(Math.max(...ys));
+        for (let y = top; y <= bottom; y++) {
+            const xs = [];
+            for (let k = 0; k < points.length; k++) {
+                const [x0, y0] = points[k], [x1, y1] = points[(k + 1) % points.length];
+                if ((y0 <= y && y < y1) || (y1 <= y && y < y0)) xs.push(x0 + (y - y0) * (x1 - x0) / (y1 - y0));
+            }
+            xs.sort((a, b) => a - b);
+            for (let k = 0; k + 1 < xs.length; k += 2) cells.span(Math.ceil(xs[k]), Math.floor(xs[k + 1]), y);
+        }
+    }
+    return cells.list();
+}
+
+/**
+ * Corner points of a turtle-relative polygon: start at (x, y), walk `len` along the heading and
+ * turn right by `turn` degrees after each side (like repeat N: forward len / right 360/N).
+ */
+export function walkPoints(x, y, heading, lengths, turn) {
+    const points = [];
+    let dir = heading;
+    for (const len of lengths) {
+        points.push([x, y]);
+        x += len * Math.cos(dir * DEG);
+        y += len * Math.sin(dir * DEG);
+        dir += turn;
+    }
+    return points;
+}
+
+/**
+ * Cell offsets covered by a brush of `size` cells (>= 1) around the pen cell.
+ * Even sizes extend one cell further right / down than left / up.
+ * @param {number} size
+ * @param {'square'|'round'|'diamond'} shape
+ * @returns {[number, number][]}
+ */
+export function brushOffsets(size, shape) {
+    const lo = -Math.floor((size - 1) / 2), hi = lo + size - 1;
+    const mid = (lo + hi) / 2, half = size / 2;
+    const offsets = [];
+    for (let dy = lo; dy <= hi; dy++) {
+        for (let dx = lo; dx <= hi; dx++) {
+            const ox = dx - mid, oy = dy - mid;
+            if (shape === 'round' && ox * ox + oy * oy > half * half - 0.5) continue;
+            if (shape === 'diamond' && Math.abs(ox) + Math.abs(oy) > half) continue;
+            offsets.push([dx, dy]);
+        }
+    }
+    return offsets;
+}
@@ -0,0 +1,112 @@
+// Replays recorded operations onto a pixel-canvas instance.
+// Used when the program runs somewhere the canvas is not (a Web Worker): the canvas ends up exactly as
+// if it had been passed to the interpreter as options.canvas. print operations go to `onPrint`.
+
+import { DEFAULT_TURTLE, DEFAULT_LAYER } from './runtime.js';
+
+/**
+ * @param {any} canvas pixel-canvas p5 instance
+ * @param {{ startX?:number, startY?:number, heading?:number, initialPenDown?:boolean,
+ *   onPrint?:(text:string, line:number)=>void, beforePaint?:(x:number, y:number, layer:string)=>void }} options
+ *   the options the program runs with; beforePaint is called before each cell is painted or erased
+ */
+export function createCanvasReplay(canvas, options = {}) {
+    const { startX = 0, startY = 0, heading = 0, initialPenDown = false, onPrint, beforePaint } = options;
+    // Pen of every turtle as the canvas should show it; `spawn` copies the current one
+    const pens = new Map();
+    let pen = { x: startX, y: startY, heading, down: initialPenDown, size: 1, shape: 'square' };
+    pens.set(DEFAULT_TURTLE, pen);
+    let turtle = DEFAULT_TURTLE;
+    let layer = DEFAULT_LAYER;
+    let symmetry = { mirror: null, radial: 1, cx: startX, cy: startY };
+
+    // Same calls as the runtime's syncCanvasPen()
+    function syncPen() {
+        canvas.selectPen?.(turtle);
+        canvas.penSet?.(pen.x, pen.y);
+        if (pen.down) canvas.penDown?.(); else canvas.penUp?.();
+        canvas.setHeading?.(pen.heading);
+        canvas.setBrush?.(pen.size, pen.shape);
+    }
+
+    canvas.resetPens?.();
+    syncPen();
+    canvas.setSymmetry?.(symmetry);
+
+    /** Apply the next operations of the run, in order */
+    function apply(ops) {
+        for (const o of ops) {
+            switch (o.op) {
+                case 'plot':
+                    beforePaint?.(o.x, o.y, layer);
+                    canvas.drawPixel?.(o.x, o.y, o.color, layer);
+                    break;
+                case 'erase':
+                    beforePaint?.(o.x, o.y, layer);
+                    canvas.erasePixel?.(o.x, o.y, layer);
+                    break;
+                case 'move':
+                    pen.x = o.x; pen.y = o.y;
+                    canvas.penSet?.(o.x, o.y);
+                    break;
+                case 'turn':
+                    pen.heading = o.heading;
+                    canvas.setHeading?.(o.heading);
+                    break;
+                case 'pen':
+                    pen.down = o.down;
+                    if (o.down) canvas.penDown?.(); else canvas.penUp?.();
+                    break;
+                case 'brush':
+                    pen.size = o.size; pen.shape = o.shape;
+                    canvas.setBrush?.(o.size, o.shape);
+                    break;
+                case 'layer': layer = o.name; break;
+                case 'symmetry': {
+                    const { op, line, ...sym } = o;
+                    symmetry = sym;
+                    canvas.setSymmetry?.(symmetry);
+                    break;
+                }
+                case 'spawn':
+                    if (!pens.has(o.name)) pens.set(o.name, { ...pen });
+                    break;
+                case 'turtle':
+                    turtle = o.name;
+                    pen = pens.get(o.name);
+                    syncPen();
+                    break;
+                case 'print': onPrint?.(o.text, o.line); break;
+            }
+        }
+    }
+
+    /** Everything apply() keeps besides the pixels, for restore() */
+    function save() {
+        return { pens: new Map([...pens].map(([name, pn]) => [name, { ...pn }])), turtle, layer, symmetry };
+    }
+
+    /** Go back to a save()d state: the canvas shows exactly its pens (in the order they were spawned) and symmetry */
+    function restore(saved) {
+        pens.clear();
+        for (const [name, pn] of saved.pens) pens.set(name, { ...pn });
+        ({ layer, symmetry } = saved);
+        canvas.resetPens?.();
+        for (const name of pens.keys()) {
+            turtle = name;
+            pen = pens.get(name);
+            syncPen();
+        }
+        turtle = saved.turtle;
+        pen = pens.get(turtle);
+        syncPen();
+        canvas.setSymmetry?.(symmetry);
+    }
+
+    /** The current turtle's pose as drawn: { turtle, x, y, heading, down } */
+    function pose() {
+        return { turtle, x: pen.x, y: pen.y, heading: pen.heading, down: pen.down };
+    }
+
+    return { apply, save, restore, pose };
+}
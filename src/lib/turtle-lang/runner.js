@@ -0,0 +1,52 @@
+// Page side of worker.js: runs one program in a fresh Web Worker and hands its messages to callbacks.
+
+/** A Web Worker running worker.js (bundled by Vite from this URL) */
+function startWorker() {
+    return new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+}
+
+/**
+ * Run `source` in a new worker. Exactly one of onDone / onError is called at the end, unless the run
+ * is stopped first; the worker is terminated either way.
+ * With `debug`, the run honors breakpoints and starts paused (see worker.js); any run can be paused.
+ * onPause is called each time the run stops before a statement.
+ * @param {string} source
+ * @param {import('./interpreter.js').InterpretOptions} options plain values only (no canvas or callbacks)
+ * @param {{ delayMs?:number, debug?:{ breakpoints:number[] },
+ *   onOps:(ops:import('./interpreter.js').Operation[])=>void,
+ *   onPause?:(state:{ line:number, turtle:string, depth:number, vars:Record<string, number|any[]> })=>void,
+ *   onDone:(result:Omit<import('./interpreter.js').InterpretResult, 'operations'> & { operationCount:number })=>void,
+ *   onError:(error:{ message:string, line:number|null, col:number|null })=>void }} handlers
+ * @param {() => Worker} [createWorker] where the run happens (tests pass a stand-in)
+ * @returns {{ stop:()=>void, setDelay:(ms:number)=>void, setBreakpoints:(lines:number[])=>void,
+ *   debug:(command:'pause'|'stepInto'|'stepOver'|'continue')=>void }}
+ */
+export function runInWorker(source, options, { delayMs = 0, debug, onOps, onPause, onDone, onError }, createWorker = startWorker) {
+    const worker = createWorker();
+    let finished = false;
+    function finish() {
+        finished = true;
+        worker.terminate();
+    }
+    worker.onmessage = ({ data }) => {
+        if (finished) return;
+        if (data.type === 'ops') onOps(data.ops);
+        else if (data.type === 'paused') onPause?.(data);
+        else if (data.type === 'done') { finish(); onDone(data.result); }
+        else if (data.type === 'error') { finish(); onError({ message: data.message, line: data.line, col: data.col }); }
+    };
+    worker.onerror = e => {
+        if (finished) return;
+        finish();
+        onError({ message: e.message || 'The program could not be started', line: null, col: null });
+    };
+    worker.postMessage({ type: 'run', source, options, delayMs, debug });
+    return {
+        /** Stop the run right away (no callback follows) */
+        stop() { if (!finished) finish(); },
+        setDelay(ms) { if (!finished) worker.postMessage({ type: 'delay', delayMs: ms }); },
+        setBreakpoints(lines) { if (!finished) worker.postMessage({ type: 'breakpoints', lines }); },
+        /** Send a debugger command (see worker.js) */
+        debug(command) { if (!finished) worker.postMessage({ type: 'debug', command }); }
+    };
+}
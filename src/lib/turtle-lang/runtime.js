@@ -0,0 +1,761 @@
+// Turtle language runtime
+// State and statement execution for one program run: turtle pose / pen / color, variable scopes,
+// procedure table and the drawing commands. Control flow (blocks, loops, calls) lives in engine.js,
+// which hands every other statement to execCommand().
+
+import { compileProgram, isValue, checkIndex } from './compile.js';
+import { createRandom, randomSeed } from './random.js';
+import { rgbToHsv, hsvToRgb, blendColor } from './color.js';
+import { PALETTES, nearestIndex } from './palettes.js';
+import { cellKey, keyCell, rasterLine, circleCells, ellipseCells, arcCells, polygonCells, walkPoints, brushOffsets } from './raster.js';
+
+/** Default limit for nested procedure calls (recursion depth) */
+export const DEFAULT_MAX_CALL_DEPTH = 200;
+/** Default cap on the cells one `fill` may paint (the plane is unbounded) */
+export const DEFAULT_MAX_FILL_CELLS = 100000;
+/** Largest allowed `pensize` (each brush stamp paints up to size² cells) */
+export const MAX_PEN_SIZE = 64;
+export const BRUSH_SHAPES = ['square', 'round', 'diamond'];
+/** Most copies `radial N` may ask for */
+export const MAX_RADIAL = 64;
+
+/** Name of the turtle every program starts with */
+export const DEFAULT_TURTLE = 'main';
+
+/** Layer that drawing goes to until a `layer NAME` statement */
+export const DEFAULT_LAYER = 'base';
+
+/** Text form of a value for print: integers as-is, decimals rounded to 6 places, lists as [a, b] */
+export function formatValue(v) {
+    if (Array.isArray(v)) return `[${v.map(formatValue).join(', ')}]`;
+    return Number.isInteger(v) ? String(v) : String(Math.round(v * 1e6) / 1e6);
+}
+
+// Utility: clamp value between min and max
+const clamp = (v, min, max) => v < min ? min : (v > max ? max : v);
+
+// Wrap hue to 0..360
+export const wrapHue = h => ((h % 360) + 360) % 360;
+
+// Operations a stamp definition keeps: the rest describe the turtle's private walk through the motif
+const STAMP_KEEPS_OPS = new Set(['print', 'palette', 'symmetry']);
+
+// Heading rounded to whole quarter turns (0..3 clockwise from east)
+const quarterTurns = deg => ((Math.round(deg / 90) % 4) + 4) % 4;
+
+// Rotate a cell offset clockwise by `turns` quarter turns (negative turns rotate back)
+function rotateQuarter(dx, dy, turns) {
+    for (let k = ((turns % 4) + 4) % 4; k > 0; k--) [dx, dy] = [-dy, dx];
+    return [dx, dy];
+}
+
+// Stamp cell recolored with the turtle color: its hue and saturation, value scaled so shading survives
+function tint(color, by) {
+    const out = { h: by.h, s: by.s, v: color.v * by.v / 100 };
+    if (color.a !== undefined) out.a = color.a;
+    return out;
+}
+
+// A parameter naming a variable reads it through `get` (see compileProgram)
+function applyHSVParam(current, param, component) {
+    if (param.mode === 'ignore') return current;
+    if (param.mode === 'offset') {
+        let raw = param.value;
+        let delta;
+        if (typeof raw === 'number') delta = raw;
+        else if (raw && raw.ref) {
+            const base = raw.get();
+            if (!Number.isFinite(base)) throw new Error(`Undefined variable '${raw.ref}' in hsv`);
+            delta = (raw.sign === '-') ? -base : base;
+        } else delta = 0;
+        let val = current + delta;
+        if (component === 'h') return wrapHue(val);
+        return clamp(val, 0, 100);
+    }
+    // absolute
+    let v = param.value;
+    if (v && v.ref) {
+        const resolved = v.get();
+        if (!Number.isFinite(resolved)) throw new Error(`Undefined variable '${v.ref}' in hsv`);
+        v = resolved;
+    }
+    if (component === 'h') return wrapHue(v);
+    return clamp(v, 0, 100);
+}
+
+/** Create the runtime for one program run.
+ * @param {import('./interpreter.js').InterpretOptions} options
+ * @param {{ runBody:(body:import('./interpreter.js').Token[], kind:'call'|'nested', name:string)=>void }} engine
+ *   runs a block to completion right away (procedure calls inside expressions, stamp definitions)
+ */
+export function createRuntime(options = {}, { runBody }) {
+    const {
+        startX = 0,
+        startY = 0,
+        heading = 0,
+        initialHSV = { h: 0, s: 0, v: 100 },
+        initialPenDown = false,
+        width,
+        height,
+        canvas,
+        onPixel,
+        onPrint,
+        record = true,
+        maxCallDepth = DEFAULT_MAX_CALL_DEPTH,
+        maxFillCells = DEFAULT_MAX_FILL_CELLS,
+        seed = randomSeed(),
+        snapToPalette = false
+    } = options;
+
+    // Turtles by name, in creation order. Each has its own pose / pen / color state, brush footprint
+    // and procedure call stack; `useTurtle` makes one current for the statements that follow.
+    /** @type {Map<string, {name:string, st:any, brushCells:[number, number][], calls:any[]}>} */
+    const turtles = new Map();
+    let turtle = {
+        name: DEFAULT_TURTLE,
+        // Turtle state (mutated in place so engines can read it directly)
+        st: {
+            x: startX,
+            y: startY,
+            dir: heading, // degrees
+            penDown: initialPenDown,
+            color: { ...initialHSV },
+            penSize: 1,
+            brush: 'square',
+            alpha: 100, // paint opacity 0..100
+            blend: 'normal'
+        },
+        brushCells: [[0, 0]],
+        // Active procedure calls; each owns the slots of its locals (see compileProgram), `locals` naming them
+        /** @type {{name:string, slots:import('./compile.js').Slot[], locals:string[], value:number|any[]|undefined}[]} */
+        calls: []
+    };
+    turtles.set(turtle.name, turtle);
+    let st = turtle.st;
+    // Footprint of the current brush, as offsets from the pen cell
+    let brushCells = brushOffsets(st.penSize, st.brush);
+    let calls = turtle.calls;
+    // Symmetry (`mirror` / `radial`): every painted cell is repeated around (cx, cy); replaced on change
+    /** @type {import('./interpreter.js').Symmetry} */
+    let symmetry = { mirror: null, radial: 1, cx: startX, cy: startY };
+    /** @type {import('./interpreter.js').Operation[]} */
+    const ops = [];
+    // Global variables by slot, and the name of each slot (filled in by compile())
+    /** @type {import('./compile.js').Slot[]} */
+    const globals = [];
+    /** @type {string[]} */
+    const globalNames = [];
+    /** @type {Record<string, import('./interpreter.js').DefTok>} */
+    const procs = Object.create(null);
+    // Context handed to built-in functions; `seed N` swaps the random source
+    // Cells plotted during this run per layer (cellKey(x, y) -> HSV), in creation order. The current
+    // layer's cells are read back by painted() / hueat() / ... and composited against by blend.
+    /** @type {Map<string, Map<number|string, import('./interpreter.js').HSV>>} */
+    const layers = new Map([[DEFAULT_LAYER, new Map()]]);
+    let layerName = DEFAULT_LAYER;
+    let cells = layers.get(DEFAULT_LAYER);
+    const ctx = { rng: createRandom(seed), turtle: st, cells };
+    if (canvas && canvas.resetPens) canvas.resetPens();
+
+    function frame() { return calls[calls.length - 1].slots; }
+
+    /** Declared variables by name, from `slots` named by `names`, added to `into` */
+    function namedVars(slots, names, into = {}) {
+        names.forEach((name, k) => { if (slots[k] !== undefined) into[name] = slots[k]; });
+        return into;
+    }
+
+    /** Snapshot of the variables visible from the current scope (locals shadow globals) */
+    function visibleVars() {
+        const vars = namedVars(globals, globalNames);
+        const call = calls[calls.length - 1];
+        return call ? namedVars(call.slots, call.locals, vars) : vars;
+    }
+
+    /** Value of a compiled expression field (see compile.js); NaN when it was not given */
+    function evalValue(node) {
+        return node == null ? NaN : node();
+    }
+
+    // Sync canvas pen location/state if provided (not during a stamp definition, whose walk leaves no operations)
+    function syncCanvasPen() {
+        if (!canvas || capturing) return;
+        canvas.selectPen && canvas.selectPen(turtle.name);
+        canvas.penSet && canvas.penSet(Math.round(st.x), Math.round(st.y));
+        if (st.penDown) canvas.penDown && canvas.penDown(); else canvas.penUp && canvas.penUp();
+        canvas.setHeading && canvas.setHeading(st.dir);
+        canvas.setBrush && canvas.setBrush(st.penSize, st.brush);
+        canvas.setSymmetry && canvas.setSymmetry(symmetry);
+    }
+
+    /** Items a `for x in list:` loop will visit (a snapshot, so the body may modify the list) */
+    function eachItems(t) {
+        const list = evalValue(t.list);
+        if (!Array.isArray(list)) throw new Error(`for ${t.name} in ... expects a list`);
+        return list.slice();
+    }
+
+    /** Evaluate a `for i from A to B [step C]:` header once: first value, step and iteration count */
+    function forRange(t) {
+        const start = evalValue(t.from);
+        const end = evalValue(t.to);
+        if (!Number.isFinite(start) || !Number.isFinite(end)) throw new Error(`Invalid range in for ${t.name}`);
+        let step = start <= end ? 1 : -1;
+        if (t.step != null) {
+            step = evalValue(t.step);
+            if (!Number.isFinite(step)) throw new Error(`Invalid step in for ${t.name}`);
+            if (step === 0) throw new Error(`for ${t.name} step cannot be 0`);
+        }
+        // End is inclusive; the epsilon keeps fractional steps (0.1 ...) from losing the last value
+        const span = (end - start) / step;
+        const count = span < 0 ? 0 : Math.floor(span + 1e-9) + 1;
+        return { start, step, count };
+    }
+
+    /** Copy of `tokens` with every expression compiled to a closure over this run (see compile.js) */
+    function compile(tokens) {
+        return compileProgram(tokens, { globals, globalNames, frame, ctx, callProc });
+    }
+
+    /** Register top-level procedure definitions so calls may appear before the def */
+    function define(tokens) {
+        for (const t of tokens) if (t.type === 'DEF') procs[t.name] = t;
+    }
+
+    /** Evaluate arguments and open a new local scope; returns the procedure to run */
+    function enterCall(name, argNodes) {
+        const proc = procs[name];
+        if (!proc) throw new Error(`Unknown procedure '${name}'`);
+        if (argNodes.length !== proc.params.length) {
+            const n = proc.params.length;
+            throw new Error(`Procedure '${name}' expects ${n} argument${n === 1 ? '' : 's'}, got ${argNodes.length}`);
+        }
+        if (calls.length >= maxCallDepth) throw new Error(`Maximum recursion depth (${maxCallDepth}) exceeded in '${name}'`);
+        // Parameters take the first slots (see compileProgram)
+        const slots = new Array(proc.size).fill(undefined);
+        proc.params.forEach((param, k) => {
+            const val = evalValue(argNodes[k]);
+            if (!isValue(val)) throw new Error(`Invalid value for argument '${param}' of '${name}'`);
+            slots[k] = val;
+        });
+        calls.push({ name, slots, locals: proc.locals, value: undefined });
+        return proc;
+    }
+
+    /** Close the innermost call; returns its return value (undefined when none) */
+    function exitCall() { return calls.pop().value; }
+
+    /** Store the return value for the innermost call */
+    function setReturn(tok) {
+        if (tok.value == null) return;
+        const val = evalValue(tok.value);
+        const call = calls[calls.length - 1];
+        if (!isValue(val)) throw new Error(`Invalid return value in '${call.name}'`);
+        call.value = val;
+    }
+
+    /** Run a procedure to completion inside an expression; returns its value (undefined when none) */
+    function callProc(name, argNodes) {
+        const proc = enterCall(name, argNodes);
+        const call = calls[calls.length - 1];
+        runBody(proc.body, 'call', name); // the engine closes the call when its body ends
+        return call.value;
+    }
+
+    function inBounds(cx, cy) {
+        if (typeof width === 'number' && (cx < 0 || cx >= width)) return false;
+        if (typeof height === 'number' && (cy < 0 || cy >= height)) return false;
+        return true;
+    }
+
+    // Active palette (`palette NAME`); with snapping on, drawn cells use its nearest entry
+    /** @type {{key:string, palette:import('./palettes.js').Palette, snap:boolean}|null} */
+    let palette = null;
+    let snapped = { from: null, color: null }; // cache: st.color object -> snapped HSV
+
+    /** Color actually painted for `color` (default: the turtle color): itself, or its nearest palette entry when snapping */
+    function drawColor(color = st.color) {
+        if (!palette || !palette.snap) return color;
+        if (snapped.from !== color) {
+            const [r, g, b] = palette.palette.colors[nearestIndex(palette.palette, hsvToRgb(color))];
+            snapped = { from: color, color: rgbToHsv(r, g, b) };
+        }
+        return snapped.color;
+    }
+
+    // Stamps (`stamp NAME:`): cells relative to the turtle, turned to heading 0, with the colors they were painted
+    /** @type {Map<string, {dx:number, dy:number, color:import('./interpreter.js').HSV}[]>} */
+    const stamps = new Map();
+    // While a stamp is being defined, plotted cells only go to its own cell map
+    let capturing = false;
+
+    /**
+     * Paint one cell with `src` (default: the current color): own record, onPixel, canvas and operations.
+     * A translucent `src` (stamp cells) scales the paint opacity.
+     */
+    function plotCell(cx, cy, src = drawColor()) {
+        const key = cellKey(cx, cy);
+        const alpha = src.a === undefined ? st.alpha : st.alpha * src.a / 100;
+        // Opaque normal painting replaces the cell; anything else composites against it
+        const color = alpha === 100 && st.blend === 'normal'
+            ? src
+            : blendColor(cells.get(key), src, alpha, st.blend);
+        if (capturing) {
+            if (color) cells.set(key, { ...color }); else cells.delete(key);
+            return;
+        }
+        if (!color) {
+            // Fully erased: the cell becomes empty again
+            if (!cells.has(key)) return;
+            cells.delete(key);
+            if (onPixel) onPixel(cx, cy, { ...src, a: 0 }, layerName);
+            if (canvas && canvas.erasePixel) canvas.erasePixel(cx, cy, layerName);
+            if (record) ops.push({ op: 'erase', x: cx, y: cy });
+            return;
+        }
+        cells.set(key, { ...color });
+        if (onPixel) onPixel(cx, cy, color, layerName);
+        if (canvas && canvas.drawPixel) canvas.drawPixel(cx, cy, color, layerName);
+        if (record) ops.push({ op: 'plot', x: cx, y: cy, color: { ...color } });
+    }
+
+    /**
+     * Flood-fill the region under the turtle: every 4- or 8-connected cell that matches the
+     * starting cell (empty, or painted with exactly the same color) takes the current color.
+     * The region is collected first so an oversized fill paints nothing.
+     */
+    function floodFill(connect) {
+        const sx = Math.round(st.x), sy = Math.round(st.y);
+        if (!inBounds(sx, sy)) return;
+        const target = cells.get(cellKey(sx, sy));
+        const same = c => target
+            ? !!c && c.h === target.h && c.s === target.s && c.v === target.v && c.a === target.a
+            : !c;
+        if (target && st.alpha === 100 && st.blend === 'normal' && same(drawColor())) return;
+        const dirs = connect === 8
+            ? [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]]
+            : [[1, 0], [-1, 0], [0, 1], [0, -1]];
+        const seen = new Set([cellKey(sx, sy)]);
+        const region = [[sx, sy]];
+        for (let k = 0; k < region.length; k++) {
+            const [cx, cy] = region[k];
+            for (const [dx, dy] of dirs) {
+                const nx = cx + dx, ny = cy + dy, key = cellKey(nx, ny);
+                if (seen.has(key) || !inBounds(nx, ny) || !same(cells.get(key))) continue;
+                seen.add(key);
+                region.push([nx, ny]);
+                if (region.length > maxFillCells) throw new Error(`fill exceeded ${maxFillCells} cells (is the region closed?)`);
+            }
+        }
+        paint(region);
+    }
+
+    /** Draw a shape command around / from the turtle without moving it (needs the pen down) */
+    function drawShape(t) {
+        const a = evalValue(t.a);
+        const b = t.b === null ? 0 : evalValue(t.b);
+        if (!Number.isFinite(a) || !Number.isFinite(b)) throw new Error(`Invalid ${t.shape} size`);
+        const radius = v => {
+            const r = Math.round(v);
+            if (r < 0) throw new Error(`${t.shape} radius cannot be negative`);
+            return r;
+        };
+        const cx = Math.round(st.x), cy = Math.round(st.y);
+        let cellsToPlot;
+        switch (t.shape) {
+            case 'circle': cellsToPlot = circleCells(cx, cy, radius(a), t.filled); break;
+            case 'ellipse': cellsToPlot = ellipseCells(cx, cy, radius(a), radius(b), st.dir, t.filled); break;
+            case 'arc': cellsToPlot = arcCells(cx, cy, radius(a), st.dir, b, t.filled); break;
+            case 'rect': {
+                // W x H cells: the turtle is one corner, width runs along the heading, height to its right
+                const w = Math.round(a), h = Math.round(b);
+                if (w < 1 || h < 1) throw new Error('rect width and height must be at least 1');
+                cellsToPlot = polygonCells(walkPoints(st.x, st.y, st.dir, [w - 1, h - 1, w - 1, h - 1], 90), t.filled);
+                break;
+            }
+            case 'polygon': {
+                if (!Number.isInteger(a) || a < 3) throw new Error('polygon needs a whole number of sides (3 or more)');
+                cellsToPlot = polygonCells(walkPoints(st.x, st.y, st.dir, new Array(a).fill(b), 360 / a), t.filled);
+                break;
+            }
+            default:
+                throw new Error(`Unknown shape: ${t.shape}`);
+        }
+        if (!st.penDown) return;
+        stamp(cellsToPlot);
+    }
+
+    /** Stamp the brush footprint at each cell, painting every covered cell once */
+    function stamp(centres) {
+        if (brushCells.length === 1) {
+            paint(centres);
+            return;
+        }
+        const done = new Set();
+        const footprint = [];
+        for (const [x, y] of centres) {
+            for (const [dx, dy] of brushCells) {
+                const cx = x + dx, cy = y + dy, key = cellKey(cx, cy);
+                if (done.has(key)) continue;
+                done.add(key);
+                footprint.push([cx, cy]);
+            }
+        }
+        paint(footprint);
+    }
+
+    /**
+     * Plot distinct cells, each followed by its symmetry images. With symmetry on, a cell reached
+     * both directly and as an image (or as two images) is painted only once per call.
+     */
+    function paint(list) {
+        // Stamp definitions record the cells as drawn; bounds and symmetry apply when the stamp is used
+        if (capturing) {
+            for (const [x, y, color] of list) plotCell(x, y, color);
+            return;
+        }
+        if (!symmetry.mirror && symmetry.radial === 1) {
+            for (const [x, y, color] of list) if (inBounds(x, y)) plotCell(x, y, color);
+            return;
+        }
+        const done = new Set();
+        for (const [x, y, color] of list) {
+            for (const [cx, cy] of symmetryImages(x, y)) {
+                const key = cellKey(cx, cy);
+                if (done.has(key) || !inBounds(cx, cy)) continue;
+                done.add(key);
+                plotCell(cx, cy, color);
+            }
+        }
+    }
+
+    /** The cell itself plus its mirror images, each rotated radial-1 more times around the centre */
+    function symmetryImages(x, y) {
+        const { mirror, radial, cx, cy } = symmetry;
+        const base = [[x, y]];
+        if (mirror === 'x' || mirror === 'xy') base.push([2 * cx - x, y]);
+        if (mirror === 'y' || mirror === 'xy') base.push(...base.map(([bx, by]) => [bx, 2 * cy - by]));
+        if (radial === 1) return base;
+        const images = [];
+        for (let k = 0; k < radial; k++) {
+            // Snap the trig values so quarter turns stay exact around half-cell centres
+            const angle = 2 * Math.PI * k / radial;
+            const cos = Math.round(Math.cos(angle) * 1e12) / 1e12, sin = Math.round(Math.sin(angle) * 1e12) / 1e12;
+            for (const [bx, by] of base) {
+                const dx = bx - cx, dy = by - cy;
+                images.push([Math.round(cx + dx * cos - dy * sin), Math.round(cy + dx * sin + dy * cos)]);
+            }
+        }
+        return images;
+    }
+
+    /** Replace the symmetry settings; `at` (if given) moves the shared centre */
+    function setSymmetry(changes, at) {
+        symmetry = { ...symmetry, ...changes };
+        if (at) {
+            const x = evalValue(at.x), y = evalValue(at.y);
+            if (!Number.isFinite(x) || !Number.isFinite(y)) throw new Error('Invalid symmetry centre');
+            symmetry.cx = x; symmetry.cy = y;
+        }
+        if (record) ops.push({ op: 'symmetry', ...symmetry });
+        if (canvas && canvas.setSymmetry) canvas.setSymmetry(symmetry);
+    }
+
+    function setBrush(size, shape) {
+        st.penSize = size;
+        st.brush = shape;
+        brushCells = brushOffsets(size, shape);
+        if (record) ops.push({ op: 'brush', size, shape });
+        if (canvas && canvas.setBrush && !capturing) canvas.setBrush(size, shape);
+    }
+
+    /** Move the turtle to (targetX, targetY), plotting the cells along the way when the pen is down */
+    function moveTo(targetX, targetY) {
+        if (st.penDown) {
+            // Every cell of the line except the one the turtle starts on
+            const path = [];
+            rasterLine(st.x, st.y, targetX, targetY, (cx, cy) => { path.push([cx, cy]); });
+            stamp(path.slice(1));
+        }
+        st.x = targetX; st.y = targetY; // no clamp => infinite plane
+        syncCanvasPen();
+        if (record) ops.push({ op: 'move', x: Math.round(st.x), y: Math.round(st.y) });
+    }
+
+    /** Turn to an absolute heading (wrapped to 0..360) */
+    function turnTo(deg) {
+        st.dir = wrapHue(deg);
+        if (record) ops.push({ op: 'turn', heading: st.dir });
+        if (canvas && canvas.setHeading && !capturing) canvas.setHeading(st.dir);
+    }
+
+    /**
+     * Run a `stamp NAME:` body with the pen down, keeping the cells it paints (relative to the turtle)
+     * instead of drawing them. Afterwards the turtle is exactly as before; its moves leave no operations.
+     */
+    function defineStamp(t) {
+        const saved = { ...st, color: { ...st.color } }, savedBrush = brushCells, savedCells = cells, opCount = ops.length;
+        const ox = Math.round(st.x), oy = Math.round(st.y), turns = quarterTurns(st.dir);
+        /** @type {Map<number|string, import('./interpreter.js').HSV>} */
+        const captured = new Map();
+        cells = ctx.cells = captured;
+        capturing = true;
+        st.penDown = true;
+        try {
+            runBody(t.body, 'nested', t.name);
+        } finally {
+            capturing = false;
+            cells = ctx.cells = savedCells;
+            Object.assign(st, saved);
+            brushCells = savedBrush;
+            // Output and program-wide settings stay; the turtle's moves inside the definition are not part of the drawing
+            if (record) ops.splice(opCount, Infinity, ...ops.slice(opCount).filter(o => STAMP_KEEPS_OPS.has(o.op)));
+            syncCanvasPen();
+        }
+        stamps.set(t.name, [...captured].map(([key, color]) => {
+            const [x, y] = keyCell(key);
+            const [dx, dy] = rotateQuarter(x - ox, y - oy, -turns);
+            return { dx, dy, color };
+        }));
+    }
+
+    /** Paint stamp `name` at the turtle, turned with its heading in quarter turns (needs the pen down) */
+    function useStamp(t) {
+        const motif = stamps.get(t.name);
+        if (!motif) throw new Error(`Unknown stamp '${t.name}' (define it first with: stamp ${t.name}:)`);
+        if (!st.penDown) return;
+        const x = Math.round(st.x), y = Math.round(st.y), turns = quarterTurns(st.dir);
+        const list = motif.map(({ dx, dy, color }) => {
+            const [rx, ry] = rotateQuarter(dx, dy, turns);
+            return [x + rx, y + ry, drawColor(t.tint ? tint(color, st.color) : color)];
+        });
+        paint(list.sort((a, b) => a[1] - b[1] || a[0] - b[0]));
+    }
+
+    /** Create turtle `name` as a copy of the current one (pose, pen, color, brush) unless it exists */
+    function spawnTurtle(name) {
+        if (turtles.has(name)) return;
+        turtles.set(name, { name, st: { ...st, color: { ...st.color } }, brushCells, calls: [] });
+        if (record) ops.push({ op: 'spawn', name });
+    }
+
+    /** Make turtle `name` the one statements act on */
+    function useTurtle(name) {
+        if (name === turtle.name) return;
+        turtle.brushCells = brushCells;
+        turtle = turtles.get(name);
+        ({ st, brushCells, calls } = turtle);
+        ctx.turtle = st;
+        if (record) ops.push({ op: 'turtle', name });
+        syncCanvasPen();
+    }
+
+    /** Execute a drawing / assignment statement (everything except control flow) */
+    function execCommand(t) {
+        switch (t.type) {
+            case 'VAR': {
+                let val = evalValue(t.value);
+                if (!isValue(val)) throw new Error(`Undefined variable or invalid value in assignment to ${t.name}`);
+                t.set(val);
+                break;
+            }
+            case 'SETINDEX': {
+                const list = evalValue(t.target);
+                const i = checkIndex(list, evalValue(t.index));
+                const val = evalValue(t.value);
+                if (!isValue(val)) throw new Error('Invalid value in list assignment');
+                list[i] = val;
+                break;
+            }
+            case 'EVAL':
+                evalValue(t.value);
+                break;
+            case 'PRINT': {
+                const text = t.args.map(arg => {
+                    if (arg.str !== undefined) return arg.str;
+                    const val = evalValue(arg);
+                    if (!isValue(val)) throw new Error('Undefined variable or invalid value in print');
+                    return formatValue(val);
+                }).join(' ');
+                if (onPrint) onPrint(text, t.line);
+                if (record) ops.push({ op: 'print', text, line: t.line });
+                break;
+            }
+            case 'DEF':
+                break; // registered up front by define()
+            case 'SEED': {
+                const val = evalValue(t.value);
+                if (!Number.isFinite(val)) throw new Error('Invalid seed value');
+                ctx.rng = createRandom(val);
+                break;
+            }
+            case 'PALETTE':
+                palette = t.name === null ? null : { key: t.name, palette: PALETTES[t.name], snap: t.snap || snapToPalette };
+                if (record) ops.push({ op: 'palette', name: t.name });
+                break;
+            case 'INK': {
+                if (!palette) throw new Error('ink needs a palette (use: palette NAME)');
+                const index = evalValue(t.value);
+                const count = palette.palette.colors.length;
+                if (!Number.isInteger(index) || index < 0 || index >= count) {
+                    throw new Error(`ink index must be a whole number from 0 to ${count - 1} for ${palette.palette.name}`);
+                }
+                st.color = rgbToHsv(...palette.palette.colors[index]);
+                if (record) ops.push({ op: 'hsv', color: { ...st.color } });
+                break;
+            }
+            case 'LAYER':
+                if (capturing) throw new Error('layer cannot be used inside a stamp definition');
+                if (!layers.has(t.name)) layers.set(t.name, new Map());
+                layerName = t.name;
+                cells = ctx.cells = layers.get(t.name);
+                if (record) ops.push({ op: 'layer', name: t.name });
+                break;
+            case 'ALPHA': {
+                const a = evalValue(t.value);
+                if (!Number.isFinite(a)) throw new Error('Invalid alpha value');
+                st.alpha = clamp(a, 0, 100);
+                if (record) ops.push({ op: 'alpha', alpha: st.alpha });
+                break;
+            }
+            case 'MIRROR':
+                setSymmetry({ mirror: t.axes }, t.at);
+                break;
+            case 'RADIAL': {
+                let count = 1;
+                if (t.count !== null) {
+                    count = evalValue(t.count);
+                    if (!Number.isInteger(count) || count < 1 || count > MAX_RADIAL) throw new Error(`radial needs a whole number of copies from 1 to ${MAX_RADIAL}`);
+                }
+                setSymmetry({ radial: count }, t.at);
+                break;
+            }
+            case 'BLEND':
+                st.blend = t.mode;
+                if (record) ops.push({ op: 'blend', mode: t.mode });
+                break;
+            case 'PENSIZE': {
+                const size = Math.round(evalValue(t.value));
+                if (!Number.isFinite(size) || size < 1 || size > MAX_PEN_SIZE) throw new Error(`pensize must be between 1 and ${MAX_PEN_SIZE}`);
+                setBrush(size, st.brush);
+                break;
+            }
+            case 'BRUSH':
+                setBrush(st.penSize, t.shape);
+                break;
+            case 'PEN': {
+                st.penDown = t.state === 'down';
+                if (record) ops.push({ op: 'pen', down: st.penDown });
+                syncCanvasPen();
+                break;
+            }
+            case 'TURN': {
+                // Adjust: left should rotate counter-clockwise (decrease heading), right clockwise (increase)
+                let turnVal = evalValue(t.value);
+                if (!Number.isFinite(turnVal)) throw new Error('Invalid turn value');
+                const delta = t.direction === 'left' ? -turnVal : turnVal;
+                turnTo(st.dir + delta);
+                break;
+            }
+            case 'HSV': {
+                st.color = {
+                    h: applyHSVParam(st.color.h, t.h, 'h'),
+                    s: applyHSVParam(st.color.s, t.s, 's'),
+                    v: applyHSVParam(st.color.v, t.v, 'v')
+                };
+                if (record) ops.push({ op: 'hsv', color: { ...st.color } });
+                break;
+            }
+            case 'RGB': {
+                const channel = v => {
+                    const c = evalValue(v);
+                    if (!Number.isFinite(c)) throw new Error('Invalid rgb value');
+                    return clamp(Math.round(c), 0, 255);
+                };
+                st.color = rgbToHsv(channel(t.r), channel(t.g), channel(t.b));
+                if (record) ops.push({ op: 'hsv', color: { ...st.color } });
+                break;
+            }
+            case 'COLOR':
+                st.color = rgbToHsv(...t.rgb);
+                if (record) ops.push({ op: 'hsv', color: { ...st.color } });
+                break;
+            case 'MOVE': {
+                let mv = evalValue(t.value);
+                if (!Number.isFinite(mv)) throw new Error('Invalid move value');
+                const dist = t.direction === 'forward' ? mv : -mv;
+                const rad = st.dir * Math.PI / 180;
+                moveTo(st.x + dist * Math.cos(rad), st.y + dist * Math.sin(rad));
+                break;
+            }
+            case 'GOTO': {
+                const targetX = t.x === null ? st.x : evalValue(t.x);
+                const targetY = t.y === null ? st.y : evalValue(t.y);
+                if (!Number.isFinite(targetX) || !Number.isFinite(targetY)) throw new Error('Invalid goto position');
+                moveTo(targetX, targetY);
+                break;
+            }
+            case 'SETHEADING': {
+                const deg = evalValue(t.value);
+                if (!Number.isFinite(deg)) throw new Error('Invalid heading value');
+                turnTo(deg);
+                break;
+            }
+            case 'SHAPE':
+                drawShape(t);
+                break;
+            case 'FILL':
+                floodFill(t.connect);
+                break;
+            case 'STAMPDEF':
+                defineStamp(t);
+                break;
+            case 'STAMP':
+                useStamp(t);
+                break;
+            case 'HOME':
+                moveTo(startX, startY);
+                turnTo(heading);
+                break;
+            default:
+                throw new Error(`Unknown token type: ${(t).type}`);
+        }
+    }
+
+    function result() {
+        const main = turtles.get(DEFAULT_TURTLE).st;
+        return {
+            finalX: Math.round(main.x),
+            finalY: Math.round(main.y),
+            finalHeading: main.dir,
+            penDown: main.penDown,
+            color: main.color,
+            operations: record ? ops : [],
+            variables: namedVars(globals, globalNames),
+            seed: ctx.rng.seed,
+            palette: palette ? palette.key : null,
+            layers: [...layers.keys()],
+            turtles: [...turtles.values()].map(({ name, st: t }) => ({ name, x: Math.round(t.x), y: Math.round(t.y), heading: t.dir }))
+        };
+    }
+
+    return {
+        get st() { return st; },
+        ops,
+        record,
+        visibleVars,
+        evalValue,
+        compile,
+        eachItems,
+        forRange,
+        syncCanvasPen,
+        spawnTurtle,
+        useTurtle,
+        define,
+        enterCall,
+        exitCall,
+        setReturn,
+        execCommand,
+        result
+    };
+}
@@ -0,0 +1,110 @@
+// Time-travel over a run's operations: keeps every operation replayed onto the canvas (see replay.js)
+// and can put the canvas back to how it looked after any number of them.
+// Every INTERVAL operations there is a checkpoint: the replay state, and the cells the operations since the
+// previous checkpoint changed, with their values before and after. Seeking undoes or redoes whole intervals
+// through those cells and replays the operations from the checkpoint at or before the target, so the
+// checkpoints hold about as many cells as the run painted, however large the canvas.
+
+import { createCanvasReplay } from './replay.js';
+
+const INTERVAL = 1024;
+
+/**
+ * @param {any} canvas pixel-canvas p5 instance (getPixel / drawPixel / erasePixel)
+ * @param {Parameters<typeof createCanvasReplay>[1]} options the options the program runs with; print
+ *   operations reach onPrint as they are appended, not when seeking
+ */
+export function createTimeline(canvas, options = {}) {
+    let seeking = false;
+    // Cells painted since the last checkpoint the canvas passed, with the value each had there:
+    // `${layer} ${x},${y}` -> [x, y, layer, pixel or null]
+    let touched = new Map();
+    const replay = createCanvasReplay(canvas, {
+        ...options,
+        onPrint: (text, line) => { if (!seeking) options.onPrint?.(text, line); },
+        beforePaint: (x, y, layer) => {
+            const key = `${layer} ${x},${y}`;
+            if (!touched.has(key)) touched.set(key, [x, y, layer, pixel(x, y, layer)]);
+        }
+    });
+    /** @type {import('./interpreter.js').Operation[]} */
+    const ops = [];
+    let at = 0; // operations the canvas shows
+    // states[k] is the replay state after k * INTERVAL operations; changes[k] the cells the interval before
+    // it changed, as [x, y, layer, before, after] (changes[0] is empty)
+    const states = [replay.save()];
+    const changes = [[]];
+    let retained = 0;
+
+    /** Color of a painted cell as drawPixel() takes it, or null */
+    function pixel(x, y, layer) {
+        const px = canvas.getPixel?.(x, y, layer);
+        return px ? { h: px.h, s: px.s, v: px.v, a: px.a } : null;
+    }
+
+    function paint(x, y, layer, px) {
+        if (px) canvas.drawPixel?.(x, y, px, layer);
+        else canvas.erasePixel?.(x, y, layer);
+    }
+
+    /** Replay operations up to index `to`, taking the checkpoints that are due on the way */
+    function advance(to) {
+        while (at < to) {
+            const stop = Math.min(to, (Math.floor(at / INTERVAL) + 1) * INTERVAL);
+            replay.apply(ops.slice(at, stop));
+            at = stop;
+            if (at % INTERVAL) continue;
+            if (at / INTERVAL === states.length) {
+                states.push(replay.save());
+                changes.push([...touched.values()].map(([x, y, layer, before]) => [x, y, layer, before, pixel(x, y, layer)]));
+                retained += touched.size;
+            }
+            touched = new Map();
+        }
+    }
+
+    /** Add the next operations of the run and draw them (when the canvas is showing the latest one) */
+    function append(batch) {
+        const live = at === ops.length;
+        for (const o of batch) ops.push(o);
+        if (live) advance(ops.length);
+    }
+
+    /** Show the canvas as it was after the first `index` operations (clamped to 0..length) */
+    function seek(index) {
+        index = Math.max(0, Math.min(ops.length, Math.floor(index)));
+        if (index === at) return;
+        seeking = true;
+        try {
+            let k = Math.floor(at / INTERVAL);
+            // Going forward within the interval needs no checkpoint
+            if (index < at || Math.floor(index / INTERVAL) > k) {
+                for (const [x, y, layer, before] of touched.values()) paint(x, y, layer, before);
+                touched = new Map();
+                const target = Math.min(Math.floor(index / INTERVAL), states.length - 1);
+                for (; k > target; k--) for (const [x, y, layer, before] of changes[k]) paint(x, y, layer, before);
+                for (; k < target; k++) for (const [x, y, layer, , after] of changes[k + 1]) paint(x, y, layer, after);
+                replay.restore(states[k]);
+                at = k * INTERVAL;
+            }
+            advance(index);
+        } finally {
+            seeking = false;
+        }
+    }
+
+    return {
+        append,
+        seek,
+        /** Operations recorded so far */
+        get length() { return ops.length; },
+        /** Operations the canvas shows (the position of the last seek, or the latest) */
+        get position() { return at; },
+        /** Cells the checkpoints hold */
+        get retained() { return retained; },
+        /** Operation `index` (0-based), or undefined */
+        at: index => ops[index],
+        /** Pose of the current turtle at the position: { turtle, x, y, heading, down } */
+        pose: () => replay.pose()
+    };
+}
@@ -0,0 +1,135 @@
+// Web Worker that runs Turtle Script off the main thread, so a program that never ends cannot freeze the page.
+// Messages in:
+//  { type:'run', source, options, delayMs, debug }  start the run (options: InterpretOptions without canvas / callbacks);
+//                                             with debug: { breakpoints }, it pauses at the first breakpoint, or
+//                                             before the first statement when there are none
+//  { type:'delay', delayMs }                  change the pause between steps while running
+//  { type:'debug', command }                  'pause' a running program (any run), or 'stepInto' / 'stepOver' /
+//                                             'continue' a paused one
+//  { type:'breakpoints', lines }              replace the breakpoint lines (1-based)
+// Messages out:
+//  { type:'ops', ops }                        the next operations, in order, as the program makes them
+//  { type:'paused', line, turtle, depth, vars }  stopped before the statement on `line` (see getState() in engine.js)
+//  { type:'done', result }                    InterpretResult with `operations` replaced by `operationCount`
+//  { type:'error', message, line, col }       the run failed (line / col: 1-based, when known)
+// Stopping a run is Worker.terminate() on the page side; it works even in the middle of a statement.
+
+import { createStepper } from './interpreter.js';
+
+// Longest time operations wait before they are posted (about one frame)
+const BATCH_MS = 16;
+
+let delayMs = 0;
+let stepper = null;
+let breakpoints = new Set();
+// Debugger: the statement test passed to stepper.step() (undefined runs freely), whether the run is
+// paused, and what ends the wait of a paused run
+let pauseBefore;
+let paused = false;
+let wake = null;
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'run') {
+        delayMs = data.delayMs || 0;
+        if (data.debug) {
+            breakpoints = new Set(data.debug.breakpoints);
+            command(breakpoints.size ? 'continue' : 'stepInto');
+        }
+        run(data.source, data.options);
+    } else if (data.type === 'delay') {
+        delayMs = data.delayMs || 0;
+    } else if (data.type === 'breakpoints') {
+        breakpoints = new Set(data.lines);
+    } else if (data.type === 'debug' && stepper) {
+        if (paused === (data.command === 'pause')) return; // pausing twice, or stepping while running
+        command(data.command);
+        paused = false;
+        wake?.();
+    }
+};
+
+/** Set where the run pauses next */
+function command(name) {
+    switch (name) {
+        case 'pause':
+        case 'stepInto':
+            pauseBefore = () => true;
+            break;
+        case 'stepOver': {
+            // The next statement of the same turtle that is not deeper in procedure calls
+            const { turtle, depth } = stepper.getState();
+            pauseBefore = (tok, at) => breakpoints.has(tok.line) || (at.turtle === turtle && at.depth <= depth);
+            break;
+        }
+        case 'continue':
+            pauseBefore = tok => breakpoints.has(tok.line);
+            break;
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function run(source, options) {
+    let ops = [];
+    let sent = 0; // operations posted so far
+    // Posted operations leave the stepper's buffer, so the worker holds at most one batch however long the run
+    function flush() {
+        if (!ops.length) return;
+        sent += ops.length;
+        self.postMessage({ type: 'ops', ops: ops.splice(0) });
+    }
+    try {
+        stepper = createStepper(source, { ...options, record: true });
+        ops = stepper.getState().ops; // grows as the program runs, emptied by flush()
+        let due = performance.now(); // when the next step may run (delayed runs keep an average pace)
+        let flushed = due;
+        // Besides the debugger's pauses, a long stretch without motions (one step) stops now and then, so
+        // that messages such as Pause get through; the clock is read every 1024 statements
+        let checked = 0;
+        let yielded = false;
+        const test = (tok, at) => {
+            if (pauseBefore?.(tok, at)) return true;
+            if ((++checked & 1023) === 0 && performance.now() - flushed >= BATCH_MS) yielded = true;
+            return yielded;
+        };
+        while (true) {
+            if (paused) {
+                await new Promise(resolve => { wake = resolve; });
+                due = flushed = performance.now();
+                continue;
+            }
+            const res = stepper.step(test);
+            if (res.done) break;
+            if (yielded) {
+                yielded = false;
+                flush(); flushed = performance.now();
+                await sleep(0);
+                continue;
+            }
+            if (res.paused) {
+                paused = true;
+                flush();
+                const { line, turtle, depth, vars } = stepper.getState();
+                self.postMessage({ type: 'paused', line, turtle, depth, vars });
+                continue;
+            }
+            const now = performance.now();
+            if (delayMs > 0) {
+                flush(); flushed = now;
+                due = Math.max(due + delayMs, now - BATCH_MS);
+                if (due > now) await sleep(due - now);
+            } else if (now - flushed >= BATCH_MS) {
+                // Let the page draw, and hear about delay changes and Pause, while a long program runs
+                flush(); flushed = now;
+                await sleep(0);
+                due = performance.now();
+            }
+        }
+        flush();
+        const { operations, ...result } = stepper.result();
+        self.postMessage({ type: 'done', result: { ...result, operationCount: sent } });
+    } catch (e) {
+        flush();
+        self.postMessage({ type: 'error', message: e.message || String(e), line: e.line ?? null, col: e.col ?? null });
+    }
+}
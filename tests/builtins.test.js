@@ -0,0 +1,44 @@
+// Built-in functions (builtins.js) as scripts call them.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpret } from '../src/lib/turtle-lang/interpreter.js';
+import { parse } from '../src/lib/turtle-lang/lexer.js';
+import { OPTIONS } from './programs.js';
+
+test('math functions give their values, and calls with the wrong argument count fail to parse', () => {
+    const src = 'var a = sin(90)\nvar b = cos(180)\nvar c = atan2(1, 1)\nvar d = sqrt(16)\nvar e = abs(-3)\nvar f = floor(-2.5)\n' +
+        'var g = ceil(2.1)\nvar h = round(2.5)\nvar i = pow(2, 10)\nvar j = lerp(10, 20, 0.25)\nvar k = clamp(15, 0, 10)\n' +
+        'var l = min(3, 1, 2)\nvar m = max(3, 1, 2)\nvar n = hypot(3, 4)\n';
+    assert.deepStrictEqual(interpret(src, OPTIONS).variables, {
+        a: 1, b: -1, c: 45, d: 4, e: 3, f: -3, g: 3, h: 3, i: 1024, j: 12.5, k: 10, l: 1, m: 3, n: 5
+    });
+    assert.throws(() => parse('var a = sqrt(1, 2)\n'), { message: 'sqrt() expects 1 argument, got 2 (line 1, col 8)' });
+    assert.throws(() => parse('forward 1\nvar a = pow(2)\n'), { message: 'pow() expects 2 arguments, got 1 (line 2, col 8)', line: 2 });
+    assert.throws(() => parse('var a = clamp()\n'), { message: 'clamp() expects 3 arguments, got 0 (line 1, col 8)' });
+    assert.throws(() => parse('var a = min(1)\n'), { message: 'min() expects at least 2 arguments, got 1 (line 1, col 8)' });
+});
+
+test('randint stays within its bounds and fails when they hold no whole number', () => {
+    const { variables } = interpret('var xs = []\nrepeat 200:\n    push(xs, randint(4.2, 1.5))\n', OPTIONS);
+    assert.deepStrictEqual([...new Set(variables.xs)].sort(), [2, 3, 4]);
+    assert.equal(interpret('var n = randint(3, 3)\n', OPTIONS).variables.n, 3);
+    assert.throws(() => interpret('forward 1\nvar n = randint(1.2, 1.8)\n', OPTIONS), {
+        message: 'randint(1.2, 1.8): there is no whole number from 1.2 to 1.8 (line 2, col 9)',
+        line: 2
+    });
+});
+
+test('the same seed gives the same numbers, and `seed N` restarts the sequence', () => {
+    const src = 'var a = [random(0, 1), randint(1, 100), chance(0.5)]\nseed 7\nvar b = [random(0, 1), randint(1, 100)]\n' +
+        'seed 7\nvar c = [random(0, 1), randint(1, 100)]\n';
+    const first = interpret(src, OPTIONS);
+    assert.deepStrictEqual(interpret(src, OPTIONS).variables, first.variables);
+    assert.deepStrictEqual(first.variables.b, first.variables.c);
+    assert.equal(first.seed, 7);
+    assert.notDeepStrictEqual(interpret(src, { ...OPTIONS, seed: 43 }).variables.a, first.variables.a);
+    // noise() reads the seed but does not move the random sequence along
+    const plain = interpret('seed 7\nvar r = random(0, 1)\n', OPTIONS).variables.r;
+    assert.equal(interpret('seed 7\nvar n = noise(3, 4)\nvar r = random(0, 1)\n', OPTIONS).variables.r, plain);
+    assert.equal(plain, first.variables.b[0]);
+});
@@ -0,0 +1,65 @@
+// Stand-in for the pixel-canvas p5 instance (src/lib/sketches/pixel-canvas.js) in node: it keeps the
+// pixels, pens and symmetry the way the real canvas does, without drawing anything.
+
+/**
+ * @param {{ record?:boolean }} [opts] with `record`, `changes` lists every pixel painted or erased and
+ *   every change to the pens or symmetry, in order (calls that change nothing are left out)
+ */
+export function createStubCanvas({ record = false } = {}) {
+    const layers = new Map([['base', new Map()]]);
+    let pens = [{ name: 'main', x: 0, y: 0, down: false, heading: 0, brush: [1, 'square'] }];
+    let cur = pens[0];
+    let symmetry = null;
+    const changes = [];
+    let shown = '';
+
+    // Log the pens and symmetry after a call if they differ from the last ones logged
+    const noted = fn => (...args) => {
+        fn(...args);
+        if (!record) return;
+        const now = JSON.stringify([pens, symmetry]);
+        if (now !== shown) changes.push(shown = now);
+    };
+    const layerFor = name => layers.get(name) ?? layers.set(name, new Map()).get(name);
+
+    return {
+        changes,
+        resetPens: noted(() => { pens = [pens[0]]; cur = pens[0]; }),
+        selectPen: noted(name => {
+            let found = pens.find(pn => pn.name === name);
+            if (!found) pens.push(found = { ...cur, name });
+            cur = found;
+        }),
+        penSet: noted((x, y) => { cur.x = Math.floor(x); cur.y = Math.floor(y); }),
+        penDown: noted(() => { cur.down = true; }),
+        penUp: noted(() => { cur.down = false; }),
+        setHeading: noted(deg => { if (Number.isFinite(deg)) cur.heading = ((deg % 360) + 360) % 360; }),
+        setBrush: noted((size, shape) => { cur.brush = [Math.max(1, Math.round(size) || 1), shape]; }),
+        setSymmetry: noted(sym => { symmetry = sym ? { ...sym } : null; }),
+        drawPixel(x, y, hsv, layer = 'base') {
+            const key = `${Math.round(x)},${Math.round(y)}`;
+            const color = { h: hsv.h, s: hsv.s, v: hsv.v };
+            if (hsv.a !== undefined && hsv.a < 100) color.a = hsv.a;
+            layerFor(layer).set(key, color);
+            if (record) changes.push(`draw ${layer} ${key} ${JSON.stringify(color)}`);
+        },
+        erasePixel(x, y, layer = 'base') {
+            const key = `${Math.round(x)},${Math.round(y)}`;
+            layers.get(layer)?.delete(key);
+            if (record) changes.push(`erase ${layer} ${key}`);
+        },
+        getPixel(x, y, layer = 'base') {
+            const color = layers.get(layer)?.get(`${Math.round(x)},${Math.round(y)}`);
+            return color ? { ...color } : null;
+        },
+        /** Cells held by all layers */
+        get painted() { return [...layers.values()].reduce((sum, painted) => sum + painted.size, 0); },
+        /** Painted pixels of the non-empty layers, pens and symmetry, as plain values to compare */
+        state: () => ({
+            pixels: [...layers].filter(([, painted]) => painted.size)
+                .map(([name, painted]) => [name, [...painted].map(([key, color]) => `${key} ${JSON.stringify(color)}`).sort()]),
+            pens: pens.map(pn => ({ ...pn })),
+            symmetry
+        })
+    };
+}
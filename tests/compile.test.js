@@ -0,0 +1,15 @@
+// Name resolution done by the compiler (compile.js): variables, and state queries written as plain names.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpret } from '../src/lib/turtle-lang/interpreter.js';
+import { OPTIONS } from './programs.js';
+
+test('state queries read without parentheses unless a variable has their name', () => {
+    const src = 'forward 3\nright 90\nvar a = xpos\nvar b = heading + pendown\nvar c = heading()\n';
+    assert.deepStrictEqual(interpret(src, OPTIONS).variables, { a: OPTIONS.startX + 3, b: 91, c: 90 });
+    // A variable hides the query while it exists: globally, and for a procedure's parameters and locals
+    const shadowed = 'def f(heading):\n    return heading\ndef g():\n    var r = xpos\n    var xpos = 5\n    return r + xpos\nvar p = f(7)\nvar q = g()\nvar heading = 1\nvar h = heading + heading()\n';
+    const { variables } = interpret(shadowed, OPTIONS);
+    assert.deepStrictEqual([variables.p, variables.q, variables.h], [7, OPTIONS.startX + 5, 1]);
+});
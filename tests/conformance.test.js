@@ -0,0 +1,48 @@
+// Conformance suite: interpret(), interpretAsync() and createStepper() must agree on every program.
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpret, interpretAsync, createStepper } from '../src/lib/turtle-lang/interpreter.js';
+import { OPTIONS, PROGRAMS, FAILING } from './programs.js';
+
+/** Run `src` through all three entry points; each result is { operations, variables } or { error } */
+async function runAll(src) {
+    const settle = async run => {
+        try {
+            const { operations, variables } = await run();
+            return { operations, variables };
+        } catch (e) {
+            return { error: e.message };
+        }
+    };
+    return Promise.all([
+        settle(() => interpret(src, OPTIONS)),
+        settle(() => interpretAsync(src, { ...OPTIONS, delayMs: 0 })),
+        settle(() => {
+            const stepper = createStepper(src, OPTIONS);
+            while (!stepper.done()) stepper.step();
+            return stepper.result();
+        })
+    ]);
+}
+
+
+for (const [name, src] of Object.entries(PROGRAMS)) {
+    test(name, async () => {
+        const [sync, async_, stepped] = await runAll(src);
+        assert.equal(sync.error, undefined, `interpret() failed: ${sync.error}`);
+        assert.ok(sync.operations.length > 0);
+        assert.deepStrictEqual(async_, sync, 'interpretAsync() differs from interpret()');
+        assert.deepStrictEqual(stepped, sync, 'createStepper() differs from interpret()');
+    });
+}
+
+for (const [name, src] of Object.entries(FAILING)) {
+    test(`fails the same way: ${name}`, async () => {
+        const [sync, async_, stepped] = await runAll(src);
+        assert.ok(sync.error, 'interpret() should fail');
+        assert.deepStrictEqual(async_, sync);
+        assert.deepStrictEqual(stepped, sync);
+    });
+}
@@ -0,0 +1,188 @@
+// What drawing statements paint: the cells of the plot operations a run records and the canvas they end up on.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpret } from '../src/lib/turtle-lang/interpreter.js';
+import { hsvToRgb } from '../src/lib/turtle-lang/color.js';
+import { OPTIONS } from './programs.js';
+import { createStubCanvas } from './canvas-stub.js';
+
+const run = (src, options = {}) => interpret(src, { ...OPTIONS, ...options });
+
+/** The cells a run plotted, as "x,y" in the order they were painted */
+const plotted = ops => ops.filter(o => o.op === 'plot').map(o => `${o.x},${o.y}`);
+
+/** The [r, g, b] of every cell plotted, in order */
+const plottedRgb = ops => ops.filter(o => o.op === 'plot').map(o => hsvToRgb(o.color));
+
+test('goto / setx / sety / setheading / home move the turtle, and the queries read it back', () => {
+    const src = 'goto 10 20\nvar a = [xpos, ypos, heading]\nsetx 5\nsety 7\nsetheading 90\nvar b = [xpos(), ypos(), heading()]\n' +
+        'pen up\nforward 3\nvar c = [xpos, ypos, pendown]\nhome\nvar d = [xpos, ypos, heading, pendown]\nhsv 30 40 50\nvar e = [hue, sat, val]\n';
+    assert.deepStrictEqual(run(src).variables, { a: [10, 20, 0], b: [5, 7, 90], c: [5, 10, 0], d: [48, 48, 0, 0], e: [30, 40, 50] });
+    // goto draws a line from where the turtle is and keeps the heading
+    const { operations } = run('right 90\ngoto 50 50\nsetx 52\n');
+    assert.deepStrictEqual(plotted(operations), ['49,49', '50,50', '51,50', '52,50']);
+    assert.deepStrictEqual(operations.filter(o => o.op === 'turn').map(o => o.heading), [90]);
+});
+
+test('painted / hueat / satat / valat read the cells the script drew on the current layer', () => {
+    const src = 'forward 3\nvar a = [painted(49, 48), painted(48, 48), painted(52, 48), painted(48.6, 48.2)]\nhsv 200 50 70\nsetx 60\n' +
+        'var b = [hueat(55, 48), satat(55, 48), valat(55, 48), hueat(0, 0)]\nlayer top\nvar c = painted(49, 48)\n';
+    assert.deepStrictEqual(run(src).variables, { a: [1, 0, 0, 1], b: [200, 50, 70, 0], c: 0 });
+    // Pixels already on the canvas are not the script's
+    const canvas = createStubCanvas();
+    canvas.drawPixel(50, 50, { h: 10, s: 10, v: 10 });
+    assert.equal(run('var a = painted(50, 50)\n', { canvas }).variables.a, 0);
+});
+
+test('fill paints the closed region under the turtle and gives up past its cell limit', () => {
+    const src = 'pen up\ngoto 40 40\npen down\nrect 5 4\npen up\ngoto 42 41\nhsv 120 100 100\nfill\n';
+    const inside = ['42,41', '43,41', '41,41', '42,42', '43,42', '41,42'];
+    assert.deepStrictEqual(plotted(run(src).operations).slice(14), inside);
+    assert.deepStrictEqual(plotted(run(src, { maxFillCells: 6 }).operations).slice(14), inside);
+    // One cell over the limit fails the fill without painting any of it
+    const canvas = createStubCanvas();
+    assert.throws(() => run(src, { maxFillCells: 5, canvas }), {
+        message: 'fill exceeded 5 cells (is the region closed?) (line 8, col 1)',
+        line: 8
+    });
+    assert.equal(canvas.painted, 14);
+});
+
+test('shapes paint their outline around the turtle, the inside with filled, and leave the turtle where it was', () => {
+    const circle = run('circle 2\n');
+    assert.deepStrictEqual(plotted(circle.operations).sort(), [
+        '46,47', '46,48', '46,49', '47,46', '47,50', '48,46', '48,50', '49,46', '49,50', '50,47', '50,48', '50,49'
+    ]);
+    assert.deepStrictEqual([circle.finalX, circle.finalY], [48, 48]);
+    assert.deepStrictEqual(plotted(run('circle 1 filled\n').operations).sort(), ['47,48', '48,47', '48,48', '48,49', '49,48']);
+    assert.deepStrictEqual(plotted(run('circle 0\n').operations), ['48,48']);
+    // Width runs along the heading, height to the turtle's right: heading down puts the rectangle to the left
+    assert.deepStrictEqual(plotted(run('right 90\nrect 3 2\n').operations).sort(), ['47,48', '47,49', '47,50', '48,48', '48,49', '48,50']);
+    assert.deepStrictEqual(plotted(run('rect 4 3\n').operations).sort(), [
+        '48,48', '48,49', '48,50', '49,48', '49,50', '50,48', '50,50', '51,48', '51,49', '51,50'
+    ]);
+    assert.throws(() => run('rect 0 2\n'), { message: 'rect width and height must be at least 1 (line 1, col 1)' });
+});
+
+test('pensize and brush stamp their footprint on every cell the pen passes', () => {
+    const cells = (xs, ys) => ys.flatMap(y => xs.map(x => `${x},${y}`)).sort();
+    assert.deepStrictEqual(plotted(run('pensize 3\nforward 2\n').operations).sort(), cells([48, 49, 50, 51], [47, 48, 49]));
+    // Even sizes reach one cell further right / down than left / up
+    assert.deepStrictEqual(plotted(run('pensize 2\nforward 1\n').operations).sort(), cells([49, 50], [48, 49]));
+    assert.deepStrictEqual(plotted(run('pensize 3\nbrush diamond\nforward 1\n').operations).sort(), ['48,48', '49,47', '49,48', '49,49', '50,48']);
+    assert.throws(() => run('pensize 65\n'), { message: 'pensize must be between 1 and 64 (line 1, col 1)' });
+});
+
+test('rgb and color set the pen color as hue / saturation / value', () => {
+    const src = 'rgb 255 0 0\nvar a = [hue, sat, val]\nrgb 0 128 255\nvar b = [round(hue), sat, val]\ncolor #0f0\nvar c = [hue, sat, val]\n' +
+        'color orange\nvar d = [round(hue), sat, val]\ncolor #ff8800\nvar e = [hue, sat, val]\nrgb 300 -5 0\nvar f = [hue, sat, val]\n';
+    assert.deepStrictEqual(run(src).variables, {
+        a: [0, 100, 100], b: [210, 100, 100], c: [120, 100, 100], d: [39, 100, 100], e: [32, 100, 100], f: [0, 100, 100]
+    });
+    assert.deepStrictEqual(run('rgb 0 0 0\nforward 1\n').operations[1].color, { h: 0, s: 0, v: 0 });
+    assert.throws(() => run('color blurple\n'), { message: 'color requires a hex code (#ff8800 or #f80) or a color name (line 1, col 1)' });
+});
+
+test('ink picks a palette entry and snapping paints the nearest one', () => {
+    // ink 8 of pico8 is ff004d; rgb 250 10 70 and a near-black snap to ff004d and 000000; palette off paints freely
+    const src = 'palette pico8\nink 8\nforward 1\npalette pico8 snap\nrgb 250 10 70\nforward 1\nvar b = [hue, sat, val]\n' +
+        'hsv 0 0 10\nforward 1\npalette off\nforward 1\n';
+    const { operations, variables } = run(src);
+    assert.deepStrictEqual(plottedRgb(operations), [[255, 0, 77], [255, 0, 77], [0, 0, 0], [26, 26, 26]]);
+    // The turtle keeps the color it was given
+    assert.deepStrictEqual(hsvToRgb({ h: variables.b[0], s: variables.b[1], v: variables.b[2] }), [250, 10, 70]);
+    assert.throws(() => run('palette pico8\nink 16\n'), { message: 'ink index must be a whole number from 0 to 15 for PICO-8 (line 2, col 1)' });
+    assert.throws(() => run('ink 1\n'), { message: 'ink needs a palette (use: palette NAME) (line 1, col 1)' });
+});
+
+test('blend modes and alpha combine a painted cell with the one under it', () => {
+    // Paint (100, 150, 200), come back and paint (200, 100, 50) over the same cell
+    const over = mode => {
+        const canvas = createStubCanvas();
+        run(`rgb 100 150 200\nforward 1\npen up\nback 1\npen down\nrgb 200 100 50\n${mode}\nforward 1\n`, { canvas });
+        const color = canvas.getPixel(49, 48);
+        return color && [...hsvToRgb(color), color.a ?? 100];
+    };
+    assert.deepStrictEqual(over('blend normal'), [200, 100, 50, 100]);
+    assert.deepStrictEqual(over('blend add'), [255, 250, 250, 100]);
+    assert.deepStrictEqual(over('blend multiply'), [78, 59, 39, 100]);
+    assert.deepStrictEqual(over('blend screen'), [222, 191, 211, 100]);
+    assert.deepStrictEqual(over('alpha 50'), [150, 125, 125, 100]);
+    assert.equal(over('blend erase'), null);
+    assert.deepStrictEqual(over('blend erase\nalpha 50'), [100, 150, 200, 50]);
+    // Translucent paint on an empty cell stays translucent
+    assert.deepStrictEqual(run('alpha 50\nforward 1\n').operations[1].color, { h: 0, s: 0, v: 100, a: 50 });
+    assert.throws(() => run('blend bogus\n'), { message: 'blend requires one argument: normal|add|multiply|screen|erase (line 1, col 1)' });
+});
+
+test('layers stack in the order they are first used and keep their own cells', () => {
+    const canvas = createStubCanvas();
+    const src = 'rgb 0 0 255\nlayer sky\nforward 1\nlayer Ground\nforward 1\nlayer base\nforward 1\nlayer SKY\n' +
+        'var a = [painted(49, 48), painted(50, 48)]\npen up\nsetx 48\npen down\nrgb 255 0 0\nblend add\nforward 3\n';
+    const { layers, variables } = run(src, { canvas });
+    assert.deepStrictEqual(layers, ['base', 'sky', 'ground']);
+    assert.deepStrictEqual(variables.a, [1, 0]);
+    // The red only adds to the blue cell on sky; the blue cells on base and ground stay as they were
+    const [blue, red, magenta] = [240, 0, 300].map(h => JSON.stringify({ h, s: 100, v: 100 }));
+    assert.deepStrictEqual(canvas.state().pixels, [
+        ['base', [`51,48 ${blue}`]],
+        ['sky', [`49,48 ${magenta}`, `50,48 ${red}`, `51,48 ${red}`]],
+        ['ground', [`50,48 ${blue}`]]
+    ]);
+});
+
+test('mirror and radial paint copies of every cell around the centre', () => {
+    assert.deepStrictEqual(plotted(run('mirror x\nforward 2\n').operations), ['49,48', '47,48', '50,48', '46,48']);
+    // Each cell is followed by its copies: turned a quarter, a half and three quarters around (48, 48)
+    const radial = run('radial 4\nforward 2\n');
+    assert.deepStrictEqual(plotted(radial.operations), ['49,48', '48,49', '47,48', '48,47', '50,48', '48,50', '46,48', '48,46']);
+    assert.deepStrictEqual([radial.finalX, radial.finalY], [50, 48]);
+    assert.deepStrictEqual(plotted(run('mirror xy at 40 40\nsety 49\n').operations).slice(0, 4), ['48,49', '32,49', '48,31', '32,31']);
+    // A half-cell centre mirrors between two cells
+    assert.deepStrictEqual(plotted(run('mirror x at 47.5 0\nforward 1\n').operations), ['49,48', '46,48']);
+    // Copies that land on the same cell are painted once
+    assert.deepStrictEqual(plotted(run('radial 2\nmirror x\nsety 50\n').operations), ['48,49', '48,47', '48,50', '48,46']);
+    assert.deepStrictEqual(plotted(run('mirror x\nforward 1\nmirror off\nforward 1\n').operations), ['49,48', '47,48', '50,48']);
+    assert.throws(() => run('radial 65\n'), { message: 'radial needs a whole number of copies from 1 to 64 (line 1, col 1)' });
+});
+
+test('turtles take turns, one movement each, in the order they were created', () => {
+    const src = 'var log = []\nturtle a:\n    right 90\n    forward 2\n    push(log, 1)\nturtle b:\n    hsv 120 100 100\n    left 90\n' +
+        '    forward 2\n    push(log, 2)\nforward 2\npush(log, 0)\n';
+    const { operations, variables, turtles } = run(src);
+    let current = 'main';
+    const moves = [];
+    for (const o of operations) {
+        if (o.op === 'turtle') current = o.name;
+        else if (o.op === 'move' || o.op === 'turn') moves.push(`${current} ${o.op}`);
+    }
+    assert.deepStrictEqual(moves, ['main move', 'a turn', 'b turn', 'a move', 'b move']);
+    assert.deepStrictEqual(variables.log, [0, 1, 2]);
+    assert.deepStrictEqual(turtles, [
+        { name: 'main', x: 50, y: 48, heading: 0 },
+        { name: 'a', x: 48, y: 50, heading: 90 },
+        { name: 'b', x: 48, y: 46, heading: 270 }
+    ]);
+    // Each turtle paints with its own color
+    assert.deepStrictEqual(operations.filter(o => o.op === 'plot').map(o => `${o.x},${o.y} ${o.color.h}`), [
+        '49,48 0', '50,48 0', '48,49 0', '48,50 0', '48,47 120', '48,46 120'
+    ]);
+});
+
+test('stamps paint their motif turned with the turtle, and tint recolors it keeping its shading', () => {
+    const src = 'stamp dot:\n    hsv 30 80 100\n    forward 1\n    hsv 30 80 50\n    forward 1\n    alpha 40\n    forward 1\n' +
+        'stamp dot\nhsv 200 60 50\nright 90\nstamp dot tint\nvar p = [xpos, ypos, heading, hue]\n';
+    const { operations, variables } = run(src);
+    assert.deepStrictEqual(operations.filter(o => o.op === 'plot').map(({ x, y, color }) => [x, y, color]), [
+        [49, 48, { h: 30, s: 80, v: 100 }],
+        [50, 48, { h: 30, s: 80, v: 50 }],
+        [51, 48, { h: 30, s: 80, v: 50, a: 40 }],
+        [48, 49, { h: 200, s: 60, v: 50 }],
+        [48, 50, { h: 200, s: 60, v: 25 }],
+        [48, 51, { h: 200, s: 60, v: 25, a: 40 }]
+    ]);
+    // Defining the stamp left the turtle as it was
+    assert.deepStrictEqual(variables.p, [48, 48, 90, 200]);
+    assert.throws(() => run('stamp nope\n'), { message: "Unknown stamp 'nope' (define it first with: stamp nope:) (line 1, col 1)" });
+});
@@ -0,0 +1,61 @@
+// The engine's stepping, run limits and operation records (engine.js).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpret, createStepper } from '../src/lib/turtle-lang/interpreter.js';
+import { OPTIONS } from './programs.js';
+
+test('statement budget names the endless loop', () => {
+    const src = 'var x = 0\nrepeat until x < 0:\n    forward 1\n    repeat 3:\n        right 1\n';
+    assert.throws(() => interpret(src, { ...OPTIONS, maxStatements: 5000 }), {
+        message: 'Stopped after 5000 statements: possible infinite loop at line 2',
+        line: 2
+    });
+});
+
+test('stepper yields once per motion', () => {
+    const stepper = createStepper('var n = 0\nrepeat 3:\n    n = n + 1\n    forward 1\n    right 90\n', OPTIONS);
+    let steps = 0;
+    while (!stepper.step().done) steps++;
+    assert.equal(steps, 6);
+    assert.equal(stepper.result().variables.n, 3);
+});
+
+test('stepper pauses before statements and resumes where it stopped', () => {
+    const src = 'def sq(n):\n    forward n\n    right 90\nvar a = 1\nsq(2)\nsq(3)\nforward a\n';
+    const plain = interpret(src, OPTIONS);
+    // Pausing at every statement visits each line in order and changes nothing about the run
+    const stepper = createStepper(src, OPTIONS);
+    const lines = [];
+    for (let res = stepper.step(() => true); !res.done; res = stepper.step(() => true)) {
+        if (res.paused) lines.push([res.line, stepper.getState().depth]);
+    }
+    assert.deepStrictEqual(lines, [[4, 0], [5, 0], [2, 1], [3, 1], [6, 0], [2, 1], [3, 1], [7, 0]]);
+    assert.deepStrictEqual(stepper.result().operations, plain.operations);
+    // Stepping over a call stops at the next statement of the same depth
+    const over = createStepper(src, OPTIONS);
+    let res = over.step(tok => tok.line === 5);
+    assert.deepStrictEqual(res, { done: false, paused: true, line: 5 });
+    const depth = over.getState().depth;
+    do res = over.step((tok, at) => at.depth <= depth); while (!res.done && !res.paused);
+    assert.equal(res.line, 6);
+});
+
+test('operations carry the line of the statement that made them', () => {
+    const src = 'def side(n):\n    forward n\n    return n\nhsv 10 _ _\nvar d = side(2)\nrepeat 2:\n    right 90\n    print d\n';
+    const { operations } = interpret(src, OPTIONS);
+    assert.deepStrictEqual(operations.map(o => `${o.op}:${o.line}`),
+        ['hsv:4', 'plot:2', 'plot:2', 'move:2', 'turn:7', 'print:8', 'turn:7', 'print:8']);
+});
+
+test('a stepper keeps running when its operations are taken between steps', () => {
+    const src = 'stamp dot:\n    forward 1\nrepeat 5:\n    forward 2\n    stamp dot\n    right 72\n    print 1\n';
+    const plain = interpret(src, OPTIONS);
+    const stepper = createStepper(src, OPTIONS);
+    const buffer = stepper.getState().ops;
+    const taken = [];
+    while (!stepper.step().done) taken.push(...buffer.splice(0));
+    taken.push(...buffer.splice(0));
+    assert.deepStrictEqual(taken, plain.operations);
+    assert.deepStrictEqual(stepper.result().operations, []);
+});
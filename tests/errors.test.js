@@ -0,0 +1,23 @@
+// Where runtime errors say they happened: line, column and the calls / loops around them.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpret } from '../src/lib/turtle-lang/interpreter.js';
+import { OPTIONS } from './programs.js';
+
+test('runtime errors give the line, column and where they ran', () => {
+    const src = 'def total(xs):\n    return xs + 1\nvar n = 0\nrepeat 3:\n    n = n + 1\n    if n == 3:\n        var t = total([1, 2])\n';
+    assert.throws(() => interpret(src, OPTIONS), {
+        message: "Cannot use a list with '+' (line 2, col 12), in total() called from line 7, inside repeat at line 4 (pass 3)",
+        line: 2,
+        col: 12
+    });
+    // Recursion is counted instead of listed; errors in an until check point at the loop
+    assert.throws(() => interpret('def down(n):\n    down(n + 1)\ndown(0)\n', OPTIONS), {
+        message: "Maximum recursion depth (200) exceeded in 'down' (line 2, col 5), in down() called from line 2 (199 times), in down() called from line 3"
+    });
+    assert.throws(() => interpret('var n = 0\nrepeat until n > 2:\n    n = [n]\n', OPTIONS), {
+        message: "Cannot use a list with '>' (line 2, col 14)",
+        line: 2
+    });
+});
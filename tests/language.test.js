@@ -0,0 +1,74 @@
+// Procedures, control flow and values: what programs compute, read back through their variables.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpret } from '../src/lib/turtle-lang/interpreter.js';
+import { OPTIONS } from './programs.js';
+
+const run = src => interpret(src, OPTIONS).variables;
+
+test('procedures return values, recurse and keep their own variables', () => {
+    const src = 'def fact(n):\n    if n <= 1:\n        return 1\n    return n * fact(n - 1)\nvar a = fact(6)\n' +
+        'var g = 1\ndef bump(k):\n    var t = k * 2\n    g = g + t\nbump(3)\nbump(4)\n';
+    assert.deepStrictEqual(run(src), { a: 720, g: 15 });
+    assert.throws(() => run('def f():\n    var inner = 5\nf()\nvar x = inner\n'), {
+        message: 'Undefined variable or invalid value in assignment to x (line 4, col 1)'
+    });
+    assert.throws(() => run('def f(a, b):\n    return a\nvar x = f(1)\n'), {
+        message: "Procedure 'f' expects 2 arguments, got 1 (line 3, col 1)"
+    });
+    assert.throws(() => run('def f():\n    return\nvar x = f()\n'), {
+        message: "Procedure 'f' did not return a value (line 3, col 9)"
+    });
+});
+
+test('elif / else chains take the first branch that holds, and / or / not stop early', () => {
+    const chain = 'var out = []\nfor x in [1, 2, 3, 5]:\n    if x == 1:\n        push(out, 10)\n    elif x >= 2 and x < 4:\n' +
+        '        push(out, 20)\n    elif x >= 2:\n        push(out, 30)\n    else:\n        push(out, 40)\n';
+    assert.deepStrictEqual(run(chain).out, [10, 20, 20, 30]);
+    assert.equal(run('var out = 0\nif 0:\n    out = 1\nelif 0:\n    out = 2\nelse:\n    out = 3\n').out, 3);
+    // hit() runs only when its side decides the result
+    const logic = 'var calls = 0\ndef hit():\n    calls = calls + 1\n    return 1\nvar a = 0 and hit()\nvar b = 1 or hit()\n' +
+        'var c = 1 and hit()\nvar d = 0 or hit()\nvar e = not 0\nvar f = not 3\nvar g = 2 and 5\nvar h = 0 or 0\n';
+    assert.deepStrictEqual(run(logic), { calls: 2, a: 0, b: 1, c: 1, d: 1, e: 1, f: 0, g: 1, h: 0 });
+    // The right side of a false `and` is never evaluated, so it may index an empty list
+    assert.equal(run('var xs = []\nvar ok = len(xs) > 0 and xs[0] == 1\n').ok, 0);
+});
+
+test('lists index from 0, share one value between names and reject indexes outside them', () => {
+    const src = 'var xs = [10, [20, 30], 40]\nvar a = xs[0]\nvar b = xs[1][1]\nvar c = xs[len(xs) - 1]\nxs[0] = 5\n' +
+        'var ys = xs\npush(ys, 50)\nvar n = len(xs)\nvar p = pop(xs)\n';
+    assert.deepStrictEqual(run(src), { xs: [5, [20, 30], 40], a: 10, b: 30, c: 40, ys: [5, [20, 30], 40], n: 4, p: 50 });
+    // for-in walks the items the list had when the loop started
+    assert.deepStrictEqual(run('var xs = [1, 2]\nvar s = 0\nfor x in xs:\n    push(xs, 9)\n    s = s + x\n'), { xs: [1, 2, 9, 9], s: 3, x: 2 });
+    const bad = {
+        'var x = sizes[3]': 'List index 3 out of range (length 3) (line 2, col 9)',
+        'var x = sizes[-1]': 'List index -1 out of range (length 3) (line 2, col 9)',
+        'var x = sizes[1.5]': 'List index must be a whole number, got 1.5 (line 2, col 9)',
+        'sizes[5] = 1': 'List index 5 out of range (length 3) (line 2, col 1)',
+        'var x = pop([])': 'pop() from an empty list (line 2, col 9)'
+    };
+    for (const [line, message] of Object.entries(bad)) {
+        assert.throws(() => run(`var sizes = [1, 2, 3]\n${line}\n`), { message, line: 2 }, line);
+    }
+});
+
+test('for loops include both ends, count down with a negative step and refuse a zero step', () => {
+    const src = 'var out = []\nfor i from 10 to 0 step -2:\n    push(out, i)\nvar down = []\nfor j from 3 to 1:\n    push(down, j)\n' +
+        'var none = 0\nfor k from 0 to 5 step -1:\n    none = none + 1\nvar fr = []\nfor t from 0 to 1 step 0.25:\n    push(fr, t)\n';
+    assert.deepStrictEqual(run(src), { out: [10, 8, 6, 4, 2, 0], i: 0, down: [3, 2, 1], j: 1, none: 0, fr: [0, 0.25, 0.5, 0.75, 1], t: 1 });
+    assert.throws(() => run('var s = -1\nfor i from 0 to 5 step s + 1:\n    forward 1\n'), {
+        message: 'for i step cannot be 0 (line 2, col 1)',
+        line: 2
+    });
+});
+
+test('print joins its arguments with spaces and formats numbers and lists', () => {
+    const printed = [];
+    const src = 'var size = 12\nprint "size is", size\nprint \'half:\', size / 3, [1, 2.5]\nprint\nprint 1 / 3, "# not a comment" # comment\n';
+    interpret(src, { ...OPTIONS, onPrint: (text, line) => printed.push([text, line]) });
+    assert.deepStrictEqual(printed, [['size is 12', 2], ['half: 4 [1, 2.5]', 3], ['', 4], ['0.333333 # not a comment', 5]]);
+    assert.throws(() => run('print 1\nprint "a" + 1\n'), {
+        message: 'A string must be a whole print argument (separate parts with commas) (line 2, col 6)'
+    });
+});
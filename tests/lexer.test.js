@@ -0,0 +1,18 @@
+// What the parser (lexer.js) records about the source: spans of statements and expressions.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse } from '../src/lib/turtle-lang/lexer.js';
+
+/** [col, endCol] of a parsed value (number, {ref}, {expr}) */
+const cols = value => { const node = value.expr ?? value; return [node.col, node.endCol]; };
+
+test('expressions in loop and if headers span their own text, not an earlier copy of it', () => {
+    const src = 'var i = 1\nvar u = 0\nfor i from i to i + 1 step i:\n    repeat until u > 2:\n        u = u + 1\n        if i:\n            print i\n';
+    const [, , loop] = parse(src);
+    assert.deepStrictEqual([cols(loop.from), cols(loop.to), cols(loop.step)], [[12, 13], [17, 22], [28, 29]]);
+    const [until] = loop.body;
+    assert.deepStrictEqual(cols(until.until), [18, 23]);
+    const [, check] = until.body;
+    assert.deepStrictEqual({ line: check.test.line, span: cols(check.test) }, { line: 6, span: [12, 13] });
+});
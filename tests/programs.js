@@ -0,0 +1,248 @@
+// Programs shared by the test files: PROGRAMS run to completion, FAILING stop with an error.
+// Every entry point must agree on both (see conformance.test.js).
+
+/** Options every test program runs with */
+export const OPTIONS = { initialPenDown: true, seed: 42, width: 96, height: 96, startX: 48, startY: 48 };
+
+export const PROGRAMS = {
+    'nested loops with break and continue inside if': `
+var hits = 0
+repeat 4:
+    repeat 5:
+        hits = hits + 1
+        if hits % 3 == 0:
+            continue
+        if hits > 14:
+            break
+        forward 2
+    right 90
+`,
+    'repeat until': `
+var n = 0
+repeat until n >= 6:
+    forward n
+    left 60
+    n = n + 1
+repeat until 1:
+    forward 100
+`,
+    'counter and list loops': `
+var total = 0
+for i from 1 to 9 step 2:
+    forward i
+    if i == 5:
+        continue
+    total = total + i
+for s in [3, 1, 4, 1, 5]:
+    right 72
+    forward s
+    if s == 5:
+        break
+for j from 3 to 1:
+    back j
+`,
+    'procedures, return and recursion': `
+def fib(n):
+    if n < 2:
+        return n
+    return fib(n - 1) + fib(n - 2)
+
+def spiral(len, turns):
+    repeat turns:
+        forward len
+        right 90
+        if len > 12:
+            return
+        len = len + 2
+
+def square(size):
+    repeat 4:
+        forward size
+        left 90
+
+var f = fib(10)
+spiral(2, 20)
+for k from 1 to 3:
+    square(k * 3)
+var d = fib(5) * 2 + fib(3)
+`,
+    'lists and print': `
+var xs = [5, 3, 8]
+push(xs, 13)
+xs[1] = xs[1] * 2
+var grid = [[0, 1], [2, 3]]
+grid[1][0] = len(xs)
+var last = pop(xs)
+print "xs", xs, last
+for x in xs:
+    forward x
+    print "at", x
+`,
+    'shapes, fill and brushes': `
+rect 10 8
+pen up
+forward 3
+right 90
+forward 3
+left 90
+fill
+pen down
+circle 4
+ellipse 6 3 filled
+arc 7 120
+polygon 5 6 filled
+pensize 3
+brush round
+forward 10
+brush diamond
+back 20
+`,
+    'colors and palettes': `
+color #ff8800
+forward 4
+hsv +40 _ -10
+forward 4
+rgb 10 200 30
+forward 4
+palette pico8 snap
+color coral
+forward 4
+ink 12
+forward 4
+palette off
+color navy
+forward 4
+`,
+    'alpha and blend modes': `
+rect 8 8 filled
+alpha 50
+color red
+rect 4 4 filled
+blend add
+color blue
+forward 6
+blend multiply
+color yellow
+back 3
+blend erase
+alpha 100
+forward 2
+`,
+    'layers': `
+layer sky
+color skyblue
+rect 20 10 filled
+layer sun
+color gold
+circle 3 filled
+layer base
+forward 5
+`,
+    'mirror and radial symmetry': `
+mirror x
+forward 6
+right 45
+forward 4
+mirror xy at 40 40
+back 5
+mirror off
+radial 6
+forward 7
+radial 3 at 50 50
+circle 2
+radial off
+forward 3
+`,
+    'turtles taking turns': `
+turtle left_arm:
+    left 90
+    repeat 10:
+        forward 2
+        right 9
+turtle right_arm:
+    right 90
+    repeat 10:
+        forward 2
+        left 9
+turtle left_arm:
+    color green
+    forward 5
+forward 12
+`,
+    'stamps': `
+stamp tree:
+    color brown
+    left 90
+    forward 4
+    color #2e7d32
+    circle 2 filled
+
+pen up
+repeat 4:
+    forward 8
+    pen down
+    stamp tree
+    right 90
+    stamp tree tint
+    left 90
+    pen up
+`,
+    'seeded random and canvas reads': `
+var total = 0
+repeat 12:
+    forward randint(1, 6)
+    right random(0, 180)
+    if chance(0.5):
+        total = total + noise(total, 1)
+seed 7
+var a = random(0, 1)
+var p = painted(48, 48)
+var h = hueat(48, 48)
+`
+};
+
+export const FAILING = {
+    'runtime error inside a loop': `
+repeat 3:
+    forward 2
+var a = [1]
+var b = a[4]
+`,
+    'recursion limit': `
+def down(n):
+    forward 1
+    down(n + 1)
+down(0)
+`,
+    'unknown stamp': `
+forward 3
+stamp missing
+`,
+    'list in arithmetic inside a procedure': `
+def total(xs):
+    return xs + 1
+var t = total([1, 2])
+`,
+    'procedure used as a value without returning one': `
+def nothing():
+    forward 1
+var v = nothing() * 2
+`,
+    'procedure named after a statement': `
+def print(x):
+    forward x
+print(2)
+`,
+    'break in a procedure called from a loop': `
+def side():
+    forward 1
+    break
+repeat 4:
+    side()
+`,
+    'continue outside a loop': `
+forward 2
+if 1:
+    continue
+`
+};
@@ -0,0 +1,12 @@
+// Cell keys (cellKey / keyCell in raster.js), seen through the programs that use them.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpret } from '../src/lib/turtle-lang/interpreter.js';
+
+test('cells far from the origin are told apart', () => {
+    // Keys switch from packed numbers to strings beyond ±16384 cells (see cellKey in raster.js)
+    const src = 'goto 20000 -3\nvar far = painted(20000, -3)\nvar near = painted(20000 - 32768, -3)\nvar edge = painted(19999, -3)\n';
+    const { variables } = interpret(src, { initialPenDown: true, seed: 1 });
+    assert.deepStrictEqual([variables.far, variables.near, variables.edge], [1, 0, 1]);
+});
@@ -0,0 +1,27 @@
+// Replaying recorded operations (replay.js) must leave the canvas as running with options.canvas does.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpret } from '../src/lib/turtle-lang/interpreter.js';
+import { createCanvasReplay } from '../src/lib/turtle-lang/replay.js';
+import { OPTIONS, PROGRAMS } from './programs.js';
+import { createStubCanvas } from './canvas-stub.js';
+
+for (const [name, src] of Object.entries(PROGRAMS)) {
+    test(`replay matches the live canvas: ${name}`, () => {
+        const live = createStubCanvas({ record: true });
+        const { operations } = interpret(src, { ...OPTIONS, canvas: live, record: true });
+        const replayed = createStubCanvas({ record: true });
+        createCanvasReplay(replayed, OPTIONS).apply(operations);
+        assert.deepStrictEqual(replayed.changes, live.changes);
+        assert.deepStrictEqual(replayed.state(), live.state());
+    });
+}
+
+test('replay passes print operations to onPrint', () => {
+    const { operations } = interpret('print 1\nforward 2\nprint "two"\n', { ...OPTIONS, record: true });
+    const printed = [];
+    createCanvasReplay(createStubCanvas(), { ...OPTIONS, onPrint: (text, line) => printed.push([text, line]) })
+        .apply(operations);
+    assert.deepStrictEqual(printed, [['1', 1], ['two', 3]]);
+});
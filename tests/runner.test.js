@@ -0,0 +1,106 @@
+// runInWorker() (runner.js) with worker.js running in this process behind a stand-in for Web Worker.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpret } from '../src/lib/turtle-lang/interpreter.js';
+import { runInWorker } from '../src/lib/turtle-lang/runner.js';
+import { OPTIONS } from './programs.js';
+
+/** @type {FakeWorker | null} the page side worker.js posts to */
+let current = null;
+globalThis.self = { postMessage: data => current?.fromWorker(data) };
+await import('../src/lib/turtle-lang/worker.js');
+
+/** Stand-in for a Web Worker running worker.js: messages are copied and arrive later, as between threads */
+class FakeWorker {
+    onmessage = null;
+    onerror = null;
+    terminated = false;
+    constructor() {
+        current = this;
+        // Settles when worker.js posts its last message, even if the page stopped listening
+        this.ended = new Promise(resolve => { this.end = resolve; });
+    }
+    postMessage(data) {
+        const copy = structuredClone(data);
+        setTimeout(() => self.onmessage({ data: copy }));
+    }
+    fromWorker(data) {
+        const copy = structuredClone(data);
+        if (data.type === 'done' || data.type === 'error') this.end();
+        setTimeout(() => { if (!this.terminated) this.onmessage({ data: copy }); });
+    }
+    terminate() { this.terminated = true; }
+}
+
+/** Start `source` in a FakeWorker; `events` lists the callbacks made, `settled` waits for onDone / onError */
+function start(source, options = OPTIONS, extra = {}) {
+    const events = [];
+    let worker;
+    let settle;
+    const settled = new Promise(resolve => { settle = resolve; });
+    const run = runInWorker(source, options, {
+        ...extra,
+        onOps: ops => events.push(['ops', ops]),
+        onDone: result => { events.push(['done', result]); settle(); },
+        onError: error => { events.push(['error', error]); settle(); }
+    }, () => (worker = new FakeWorker()));
+    return { run, worker, events, settled };
+}
+
+test('operations stream to onOps and the run ends with onDone', async () => {
+    const src = 'var n = 0\nrepeat 40:\n    forward 3\n    right 50\n    n = n + 1\nprint n\n';
+    const { worker, events, settled } = start(src);
+    await settled;
+    assert.ok(worker.terminated);
+    const ops = events.filter(([kind]) => kind === 'ops').flatMap(([, batch]) => batch);
+    const plain = interpret(src, { ...OPTIONS, record: true });
+    assert.deepStrictEqual(ops, plain.operations);
+    const [kind, result] = events.at(-1);
+    assert.equal(kind, 'done');
+    assert.equal(result.operationCount, plain.operations.length);
+    assert.deepStrictEqual(result.variables, plain.variables);
+});
+
+test('a run stopped by the statement limit ends with onError after its operations', async () => {
+    const src = 'forward 2\nvar x = 0\nrepeat until x < 0:\n    x = x + 1\n';
+    const { worker, events, settled } = start(src, { ...OPTIONS, maxStatements: 5000 });
+    await settled;
+    assert.ok(worker.terminated);
+    assert.deepStrictEqual(events.map(([kind]) => kind), ['ops', 'error']);
+    assert.deepStrictEqual(events[0][1].map(o => o.op), ['plot', 'plot', 'move']);
+    const { message, line } = events[1][1];
+    assert.deepStrictEqual({ message, line },
+        { message: 'Stopped after 5000 statements: possible infinite loop at line 3', line: 3 });
+});
+
+test('stop() ends the run and nothing is reported after it', async () => {
+    const { run, worker, events } = start('repeat 20:\n    forward 1\n', OPTIONS, { delayMs: 1 });
+    while (!events.length) await new Promise(resolve => setTimeout(resolve, 1));
+    run.stop();
+    assert.ok(worker.terminated);
+    const seen = events.length;
+    await worker.ended;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(events.length, seen);
+    // Messages to a stopped run go nowhere
+    const posted = [];
+    worker.postMessage = data => posted.push(data);
+    run.setDelay(0);
+    run.debug('pause');
+    assert.deepStrictEqual(posted, []);
+});
+
+test('a worker that cannot start reports an error without a line', () => {
+    const events = [];
+    let worker;
+    runInWorker('forward 1', OPTIONS, {
+        onOps: () => events.push('ops'),
+        onDone: () => events.push('done'),
+        onError: error => events.push(error)
+    }, () => (worker = { postMessage() {}, terminate() { this.terminated = true; } }));
+    worker.onerror({ message: '' });
+    worker.onmessage({ data: { type: 'done', result: {} } });
+    assert.ok(worker.terminated);
+    assert.deepStrictEqual(events, [{ message: 'The program could not be started', line: null, col: null }]);
+});
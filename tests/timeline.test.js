@@ -0,0 +1,107 @@
+// Seeking a timeline (timeline.js) must show the canvas exactly as replaying the operations up to that
+// point onto a fresh one does, and its checkpoints must hold no more cells than the run painted.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpret } from '../src/lib/turtle-lang/interpreter.js';
+import { createCanvasReplay } from '../src/lib/turtle-lang/replay.js';
+import { createTimeline } from '../src/lib/turtle-lang/timeline.js';
+import { OPTIONS } from './programs.js';
+import { createStubCanvas } from './canvas-stub.js';
+
+// Dozens of checkpoints of 1024 operations long; every turtle, layer and symmetry change repeats
+const LONG_RUN = `
+var k = 0
+repeat 32:
+    k = k + 1
+    turtle spinner:
+        layer top
+        mirror x
+        repeat 60:
+            forward 5
+            right 97
+    turtle walker:
+        layer base
+        radial k % 4 + 1 at k, 0
+        pensize k % 3 + 1
+        repeat 40:
+            forward 4
+            left 61
+    mirror off
+    pen up
+    forward 3
+    pen down
+    blend erase
+    repeat 20:
+        forward 2
+        right 45
+    blend normal
+    right k * 7
+`;
+
+/** Canvas state after replaying the first `count` operations onto a fresh canvas */
+function replayed(operations, count) {
+    const canvas = createStubCanvas();
+    createCanvasReplay(canvas, OPTIONS).apply(operations.slice(0, count));
+    return canvas.state();
+}
+
+/** Deterministic pseudo-random integers in [0, n) */
+function randomInts(seed) {
+    return n => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return Math.floor(seed / 2147483648 * n);
+    };
+}
+
+test('seeking shows the canvas as a fresh replay does, while the run is appended and after', () => {
+    const { operations } = interpret(LONG_RUN, { ...OPTIONS, record: true });
+    assert.ok(operations.length > 34 * 1024, `only ${operations.length} operations`);
+    for (const op of ['turtle', 'spawn', 'layer', 'symmetry']) assert.ok(operations.some(o => o.op === op), op);
+
+    const canvas = createStubCanvas();
+    const timeline = createTimeline(canvas, OPTIONS);
+    const random = randomInts(7);
+    const check = (index, length) => {
+        timeline.seek(index);
+        assert.equal(timeline.position, Math.max(0, Math.min(length, index)));
+        assert.deepStrictEqual(canvas.state(), replayed(operations, timeline.position), `seek(${index})`);
+    };
+    const checkAll = length => {
+        for (const index of [0, 1, 1023, 1024, 1025, 2048, length - 1, length, length + 5, -3]) check(index, length);
+        for (let k = 0; k < 12; k++) check(random(length + 1), length);
+    };
+
+    // Appended in uneven batches, as the worker posts them; seeking back stops the live drawing
+    const half = 20 * 1024;
+    for (let at = 0; at < half; at += 777) timeline.append(operations.slice(at, Math.min(half, at + 777)));
+    checkAll(half);
+    timeline.seek(half);
+    for (let at = half; at < operations.length; at += 1500) timeline.append(operations.slice(at, at + 1500));
+    assert.equal(timeline.position, operations.length);
+    assert.deepStrictEqual(canvas.state(), replayed(operations, operations.length));
+    checkAll(operations.length);
+});
+
+test('checkpoints hold the cells the run changed, not copies of the canvas', () => {
+    // A small square painted over and over on a canvas that already holds a large picture
+    const src = 'repeat 3000:\n    forward 6\n    right 90\n    hsv +1 _ _\n';
+    const { operations } = interpret(src, { ...OPTIONS, record: true });
+    const paints = operations.filter(o => o.op === 'plot' || o.op === 'erase').length;
+    const canvas = createStubCanvas();
+    for (let x = 0; x < 200; x++) for (let y = 0; y < 200; y++) canvas.drawPixel(x, y, { h: x, s: 50, v: y % 100 });
+    const before = canvas.state();
+    const timeline = createTimeline(canvas, OPTIONS);
+    for (let at = 0; at < operations.length; at += 1000) timeline.append(operations.slice(at, at + 1000));
+    assert.ok(operations.length > 16 * 1024);
+    assert.ok(timeline.retained <= paints, `${timeline.retained} cells retained for ${paints} painted`);
+    assert.ok(timeline.retained < canvas.painted);
+    // The picture under the run comes back when seeking to the start
+    timeline.seek(0);
+    assert.deepStrictEqual(canvas.state().pixels, before.pixels);
+    timeline.seek(operations.length);
+    const after = canvas.state();
+    timeline.seek(5000);
+    timeline.seek(operations.length);
+    assert.deepStrictEqual(canvas.state(), after);
+});